@@ -2,6 +2,7 @@
 	MIT License http://www.opensource.org/licenses/mit-license.php
 	Author Tobias Koppers @sokra
 */
+var server = require("./server");
 
 function attachTagAttrs(element, attrs) {
 	Object.keys(attrs).forEach(function (key) {
@@ -9,30 +10,116 @@ function attachTagAttrs(element, attrs) {
 	});
 }
 
-module.exports = function addStyleUrl(cssUrl, options) {
-	if(typeof DEBUG !== "undefined" && DEBUG) {
-		if(typeof document !== "object") throw new Error("The style-loader cannot be used in a non-browser environment");
+// A Content Security Policy only allows styles with the nonce of the page
+function attachNonce(element, options) {
+	var nonce = typeof options.nonce === "function" ? options.nonce() :
+		typeof __webpack_nonce__ !== "undefined" ? __webpack_nonce__ : null;
+	if(nonce) {
+		element.setAttribute("nonce", nonce);
 	}
+}
 
+module.exports = function addStyleUrl(cssUrl, options) {
 	options = options || {};
 	options.attrs = typeof options.attrs === "object" ? options.attrs : {};
 
-	var styleElement = document.createElement("link");
-	styleElement.rel = "stylesheet";
-	styleElement.type = "text/css";
-	styleElement.href = cssUrl;
+	// Outside of the browser the link is rendered into the page by the server
+	if(typeof document !== "object") {
+		return server.addStyleUrl(cssUrl, options);
+	}
 
-	attachTagAttrs(styleElement, options.attrs);
+	var styleElement = createLinkElement(cssUrl, options);
+	var loading = watchLoading(styleElement);
+	// The link to the updated stylesheet, until it is loaded
+	var pendingElement = null;
 
 	var head = document.getElementsByTagName("head")[0];
 	head.appendChild(styleElement);
-	if(module.hot) {
-		return function(cssUrl) {
-			if(typeof cssUrl === "string") {
-				styleElement.href = cssUrl;
+
+	function dropPendingElement() {
+		if(pendingElement) {
+			head.removeChild(pendingElement);
+			pendingElement = null;
+		}
+	}
+
+	function update(cssUrl) {
+		dropPendingElement();
+		if(typeof cssUrl === "string") {
+			// The old stylesheet stays until the new one is loaded, so that the page is never unstyled
+			var newElement = pendingElement = createLinkElement(cssUrl, options);
+			var newLoading = loading = watchLoading(newElement);
+			newLoading.callbacks.push(function() {
+				if(pendingElement !== newElement) return;
+				pendingElement = null;
+				if(newLoading.status === "loaded") {
+					head.removeChild(styleElement);
+					styleElement = newElement;
+				} else {
+					head.removeChild(newElement);
+					console.error("style-loader: " + newLoading.error.message + ", keeping the previous stylesheet.");
+				}
+			});
+			head.insertBefore(newElement, styleElement.nextSibling);
+		} else {
+			head.removeChild(styleElement);
+		}
+	}
+	// Resolves once the current stylesheet is loaded, rejects if it fails to load
+	// or, if a timeout in milliseconds is given, doesn't load in time
+	update.ready = function(timeout) {
+		return whenLoaded(loading, timeout);
+	};
+	return update;
+}
+
+function createLinkElement(cssUrl, options) {
+	var linkElement = document.createElement("link");
+	linkElement.rel = "stylesheet";
+	linkElement.type = "text/css";
+	linkElement.href = cssUrl;
+
+	attachTagAttrs(linkElement, options.attrs);
+	attachNonce(linkElement, options);
+	return linkElement;
+}
+
+function watchLoading(linkElement) {
+	var loading = { status: "loading", error: null, callbacks: [] };
+	function settle(status, error) {
+		if(loading.status !== "loading") return;
+		loading.status = status;
+		loading.error = error;
+		loading.callbacks.splice(0).forEach(function(callback) {
+			callback();
+		});
+	}
+	linkElement.onload = function() {
+		settle("loaded");
+	};
+	linkElement.onerror = function() {
+		settle("failed", new Error("The stylesheet " + linkElement.href + " failed to load"));
+	};
+	return loading;
+}
+
+function whenLoaded(loading, timeout) {
+	return new Promise(function(resolve, reject) {
+		function done() {
+			if(loading.status === "loaded") {
+				resolve();
 			} else {
-				head.removeChild(styleElement);
+				reject(loading.error);
 			}
-		};
-	}
+		}
+		if(loading.status !== "loading") {
+			return done();
+		}
+		loading.callbacks.push(done);
+		if(timeout !== undefined) {
+			setTimeout(function() {
+				reject(new Error("The stylesheet didn't load within " + timeout + "ms"));
+			}, timeout);
+		}
+	});
 }
\ No newline at end of file
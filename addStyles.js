@@ -25,15 +25,31 @@ var stylesInDom = (function () {
                 existing.push([style, domStyle]);
             }
         },
+        all: function () {
+            var result = [];
+            Object.keys(cache).forEach(function (id) {
+                cache[id].forEach(function (s) { return result.push(s[1]); });
+            });
+            return result;
+        },
         delete: function (style) {
             var existing = cache[style.id];
-            existing = existing ? existing.filter(function (s) { return s[1] !== style; }) : existing;
-            if (!existing || !existing.length) {
+            var remaining = existing ? existing.filter(function (s) { return s[1] !== style; }) : [];
+            if (remaining.length) {
+                cache[style.id] = remaining;
+            }
+            else {
                 delete cache[style.id];
             }
         }
     };
 })();
+var IDENTIFIER_ATTRIBUTE = "data-style-loader-id";
+var SOURCE_ATTRIBUTE = "data-style-loader-source";
+// IE <= 9 ignores the rules after the first 4095 selectors of a style sheet
+var MAX_SELECTORS = 4095;
+// and the style sheets after the first 31 of a document
+var MAX_STYLE_SHEETS = 31;
 function memoize(fn) {
     var memo;
     return function (input) {
@@ -54,6 +70,9 @@ var isOldIE = memoize(function () {
 var getElement = (function (fn) {
     var memo = {};
     return function (selector) {
+        if (typeof selector !== "string") {
+            return selector;
+        }
         if (memo[selector] === undefined) {
             memo[selector] = fn.bind(this)(selector);
         }
@@ -62,32 +81,318 @@ var getElement = (function (fn) {
 })(function (styleTarget) {
     return document.querySelector(styleTarget);
 });
-var singletonElement = null;
-var singletonCounter = 0;
-var styleElementsInsertedAtTop = [];
+// <style> tags rendered by the server (see server.js), by the identifier of their part
+var getServerRenderedElements = memoize(function () {
+    var elements = {};
+    var nodes = document.querySelectorAll("style[" + IDENTIFIER_ATTRIBUTE + "]");
+    for (var i = 0; i < nodes.length; i++) {
+        var identifier = nodes[i].getAttribute(IDENTIFIER_ATTRIBUTE);
+        (elements[identifier] = elements[identifier] || []).push(nodes[i]);
+    }
+    return elements;
+});
+var supportsConstructableStyleSheets = memoize(function () {
+    return typeof CSSStyleSheet === "function" &&
+        "replaceSync" in CSSStyleSheet.prototype &&
+        "adoptedStyleSheets" in document;
+});
+// The tags shared by the modules of a singleton group, per target
+var singletons = {};
+// In the order they were inserted, to keep that order at the top or after the same anchor
+var insertedStyleElements = [];
+var adoptedStyleSheets = [];
+// The parts added with the dedupe option, by the hash of their css
+var sharedParts = {};
+var inspectorRegistered = false;
+// The changes queued with the batch option
+var queue = [];
+var flushScheduled = false;
+// While the queue is flushed, the elements to add at the bottom of every target
+var appendFragments = null;
 var fixUrls = require("./fixUrls");
+var server = require("./server");
+function addStyles(list, options, target) {
+    options = options || {};
+    options.attrs = typeof options.attrs === "object" ? options.attrs : {};
+    // Insert into the given element or shadow root instead of the 'insertInto' target
+    if (target) {
+        options = copyOptions(options);
+        options.insertInto = target;
+    }
+    // Outside of the browser the styles are collected and rendered into the page by the server
+    if (typeof document !== "object") {
+        return server.addStyles(list, options);
+    }
+    // Debug builds show the styles in window.__STYLE_LOADER__ from the start
+    getInspector();
+    // Force single-tag solution on IE6-9, which has a hard limit on the # of <style>
+    // tags it will allow on a page
+    if (options.singleton === undefined) {
+        options.singleton = isOldIE();
+    }
+    // By default, add <style> tags to the <head> element
+    if (options.insertInto === undefined) {
+        options.insertInto = "head";
+    }
+    // By default, add <style> tags to the bottom of the target
+    if (options.insertAt === undefined) {
+        options.insertAt = "bottom";
+    }
+    if (options.batch) {
+        var updateNow_1 = null;
+        enqueue(options, function () {
+            updateNow_1 = addStylesNow(list, options);
+        });
+        return function update(newList) {
+            enqueue(options, function () {
+                updateNow_1(newList);
+            });
+        };
+    }
+    return addStylesNow(list, options);
+}
+function addStylesNow(list, options) {
+    var styles = listToStyles(list);
+    var domStyles = addStylesToDom(styles, options);
+    return function update(newList) {
+        if (newList) {
+            var newStyles = listToStyles(newList);
+            domStyles = updateStylesInDom(styles, domStyles, newStyles, options);
+            styles = newStyles;
+        }
+        else {
+            for (var _i = 0, domStyles_1 = domStyles; _i < domStyles_1.length; _i++) {
+                var domStyle = domStyles_1[_i];
+                if (--domStyle.refs === 0) {
+                    removeStyleFromDom(domStyle);
+                }
+            }
+            domStyles = [];
+        }
+    };
+}
+(function (addStyles) {
+    // The collector of the server render in progress, if any
+    addStyles.collector = server.current;
+    // Applies the queued changes of the batch option right away, e.g. before measuring the layout
+    function flush() {
+        // Changes queued while flushing wait for the next flush
+        if (!queue.length || appendFragments) {
+            return;
+        }
+        var operations = queue.splice(0);
+        // Elements added at the bottom of a target are added together
+        appendFragments = [];
+        try {
+            for (var _i = 0, operations_1 = operations; _i < operations_1.length; _i++) {
+                var operation = operations_1[_i];
+                operation();
+            }
+        }
+        finally {
+            var fragments = appendFragments;
+            appendFragments = null;
+            for (var _a = 0, fragments_1 = fragments; _a < fragments_1.length; _a++) {
+                var append = fragments_1[_a];
+                append.target.appendChild(append.fragment);
+            }
+        }
+    }
+    addStyles.flush = flush;
+    // The element a target given to 'use' stands for: the head of a document given as { document },
+    // e.g. of an iframe, or else the target itself
+    function resolveTarget(target) {
+        if (target && !target.nodeType && target.document) {
+            var targetDocument = target.document;
+            return targetDocument.head || targetDocument.getElementsByTagName("head")[0] || targetDocument.documentElement;
+        }
+        return target;
+    }
+    addStyles.resolveTarget = resolveTarget;
+    // Calls back once when the document of the target unloads, unless it is the document of the page.
+    // Returns a function to stop watching.
+    function onUnload(target, callback) {
+        var targetDocument = target && (target.ownerDocument || target);
+        var view = targetDocument && targetDocument.defaultView;
+        if (!view || targetDocument === document) {
+            return function () { };
+        }
+        function listener() {
+            view.removeEventListener("unload", listener);
+            callback();
+        }
+        view.addEventListener("unload", listener);
+        return function () {
+            view.removeEventListener("unload", listener);
+        };
+    }
+    addStyles.onUnload = onUnload;
+})(addStyles || (addStyles = {}));
+function enqueue(options, operation) {
+    queue.push(operation);
+    if (flushScheduled) {
+        return;
+    }
+    flushScheduled = true;
+    var flush = function () {
+        flushScheduled = false;
+        addStyles.flush();
+    };
+    if (options.batch !== "microtask" && typeof requestAnimationFrame === "function") {
+        requestAnimationFrame(flush);
+    }
+    else if (typeof Promise === "function") {
+        new Promise(function (resolve) {
+            resolve();
+        }).then(flush);
+    }
+    else {
+        setTimeout(flush, 0);
+    }
+}
+function getAppendParent(styleTarget) {
+    if (!appendFragments) {
+        return styleTarget;
+    }
+    for (var _i = 0, appendFragments_1 = appendFragments; _i < appendFragments_1.length; _i++) {
+        var append = appendFragments_1[_i];
+        if (append.target === styleTarget) {
+            return append.fragment;
+        }
+    }
+    var fragment = (styleTarget.ownerDocument || styleTarget).createDocumentFragment();
+    appendFragments.push({ target: styleTarget, fragment: fragment });
+    return fragment;
+}
+function copyOptions(options) {
+    var result = {};
+    Object.keys(options).forEach(function (key) {
+        result[key] = options[key];
+    });
+    return result;
+}
 function addStylesToDom(styles, options) {
+    var domStyles = [];
     for (var _i = 0, styles_1 = styles; _i < styles_1.length; _i++) {
         var style = styles_1[_i];
         var domStyle = stylesInDom.get(style);
         if (domStyle) {
             domStyle.refs++;
-            var j = void 0;
-            for (j = 0; j < domStyle.parts.length; j++) {
-                domStyle.parts[j](style.parts[j]);
-            }
-            for (; j < style.parts.length; j++) {
-                domStyle.parts.push(addStyle(style.parts[j], options));
+        }
+        else {
+            domStyle = { id: style.id, refs: 1, parts: [], target: options.insertInto };
+            stylesInDom.set(style, domStyle);
+        }
+        domStyles.push(domStyle);
+    }
+    for (var i = 0; i < styles.length; i++) {
+        updateParts(domStyles, i, styles[i], options);
+    }
+    return domStyles;
+}
+// Updates the parts in place, so that the order of the elements stays the same as after a reload
+function updateStylesInDom(styles, domStyles, newStyles, options) {
+    var unused = domStyles.slice();
+    var newDomStyles = [];
+    for (var _i = 0, newStyles_1 = newStyles; _i < newStyles_1.length; _i++) {
+        var newStyle = newStyles_1[_i];
+        var domStyle = null;
+        for (var i = 0; i < unused.length; i++) {
+            if (unused[i].id === newStyle.id) {
+                domStyle = unused.splice(i, 1)[0];
+                stylesInDom.delete(domStyle);
+                break;
             }
         }
+        if (!domStyle) {
+            domStyle = { id: newStyle.id, refs: 1, parts: [], target: options.insertInto };
+        }
+        stylesInDom.set(newStyle, domStyle);
+        newDomStyles.push(domStyle);
+    }
+    for (var i = 0; i < newStyles.length; i++) {
+        updateParts(newDomStyles, i, newStyles[i], options);
+    }
+    // Modules that are no longer imported go last, so that their elements can still be used as positions
+    for (var _a = 0, unused_1 = unused; _a < unused_1.length; _a++) {
+        var domStyle = unused_1[_a];
+        removeStyleFromDom(domStyle);
+    }
+    return newDomStyles;
+}
+function updateParts(domStyles, index, style, options) {
+    var parts = domStyles[index].parts;
+    for (var j = 0; j < style.parts.length; j++) {
+        if (j < parts.length) {
+            parts[j](style.parts[j]);
+            keepInOrder(domStyles, index, j);
+        }
         else {
-            var parts = [];
-            for (var j = 0; j < style.parts.length; j++) {
-                parts.push(addStyle(style.parts[j], options));
+            parts.push(addStyle(style.parts[j], options, style.id + "-" + j, findPosition.bind(null, domStyles, index, j)));
+        }
+    }
+    while (parts.length > style.parts.length) {
+        parts.pop()();
+    }
+}
+function removeStyleFromDom(domStyle) {
+    for (var _i = 0, _a = domStyle.parts; _i < _a.length; _i++) {
+        var part = _a[_i];
+        part();
+    }
+    stylesInDom.delete(domStyle);
+}
+// Parts are placed before the element of the next part or after the one of the previous part
+function findPosition(domStyles, index, partIndex) {
+    var next = findNextPart(domStyles, index, partIndex, function (part) { return part.element(); });
+    var previous = !next && findPreviousPart(domStyles, index, partIndex, function (part) { return part.element(); });
+    var previousSlot = findPreviousPart(domStyles, index, partIndex, function (part) { return part.slot(); });
+    var nextSlot = !previousSlot && findNextPart(domStyles, index, partIndex, function (part) { return part.slot(); });
+    return {
+        before: next && next.element(),
+        after: previous && previous.element(),
+        previousSlot: previousSlot && previousSlot.slot(),
+        nextSlot: nextSlot && nextSlot.slot()
+    };
+}
+function findNextPart(domStyles, index, partIndex, has) {
+    for (var i = index, j = partIndex + 1; i < domStyles.length; i++, j = 0) {
+        for (; j < domStyles[i].parts.length; j++) {
+            if (has(domStyles[i].parts[j])) {
+                return domStyles[i].parts[j];
+            }
+        }
+    }
+    return null;
+}
+function findPreviousPart(domStyles, index, partIndex, has) {
+    for (var i = index, j = partIndex - 1; i >= 0; i--, j = i >= 0 ? domStyles[i].parts.length - 1 : 0) {
+        for (; j >= 0; j--) {
+            if (has(domStyles[i].parts[j])) {
+                return domStyles[i].parts[j];
             }
-            stylesInDom.set(style, { id: style.id, refs: 1, parts: parts });
         }
     }
+    return null;
+}
+// Moves the element or slot of a part behind the one of the previous part, when the order of the modules changed
+function keepInOrder(domStyles, index, partIndex) {
+    var part = domStyles[index].parts[partIndex];
+    var slot = part.slot();
+    if (slot) {
+        var previousPart_1 = findPreviousPart(domStyles, index, partIndex, function (other) { return other.slot(); });
+        var previousSlot = previousPart_1 && previousPart_1.slot();
+        if (previousSlot && previousSlot.tag.singleton === slot.tag.singleton && !slotPrecedes(previousSlot, slot)) {
+            moveSingletonSlot(slot, previousSlot);
+        }
+        return;
+    }
+    var element = part.element();
+    var previousPart = element && findPreviousPart(domStyles, index, partIndex, function (other) { return other.element(); });
+    var previous = previousPart && previousPart.element();
+    if (previous && previous.parentNode === element.parentNode && !precedes(previous, element)) {
+        previous.parentNode.insertBefore(element, previous.nextSibling);
+    }
 }
 function listToStyles(list) {
     var result = [];
@@ -105,65 +410,410 @@ function listToStyles(list) {
     }
     return result;
 }
-function insertStyleElement(options, styleElement) {
+function insertStyleElement(options, styleElement, position) {
     var styleTarget = getElement(options.insertInto);
     if (!styleTarget) {
         throw new Error("Couldn't find a style target. This probably means that the value for the 'insertInto' parameter is invalid.");
     }
-    var lastStyleElementInsertedAtTop = styleElementsInsertedAtTop[styleElementsInsertedAtTop.length - 1];
-    if (options.insertAt === "top") {
-        if (!lastStyleElementInsertedAtTop) {
-            styleTarget.insertBefore(styleElement, styleTarget.firstChild);
+    var priority = options.priority || 0;
+    var insertAt = options.insertAt;
+    var neighbour = position && (position.before || position.after);
+    var priorityPosition = !neighbour && findPriorityPosition(styleTarget, priority);
+    if (neighbour) {
+        neighbour.parentNode.insertBefore(styleElement, position.before || position.after.nextSibling);
+        // Belongs to the same group at the top or after an anchor as its neighbour
+        var idx = findInsertedStyleElement(neighbour);
+        var anchor = idx >= 0 ? insertedStyleElements[idx].anchor : undefined;
+        insertedStyleElements.push({ element: styleElement, target: styleTarget, priority: priority, anchor: anchor });
+    }
+    else if (priorityPosition) {
+        priorityPosition.parent.insertBefore(styleElement, priorityPosition.reference);
+        registerStyleElement(styleElement, styleTarget, priority);
+    }
+    else if (insertAt === "top") {
+        insertAfter(styleTarget, null, styleElement, priority);
+    }
+    else if (insertAt === "bottom") {
+        getAppendParent(styleTarget).appendChild(styleElement);
+        registerStyleElement(styleElement, styleTarget, priority);
+    }
+    else if (typeof insertAt === "object" && (insertAt.before || insertAt.after)) {
+        var selector = insertAt.before || insertAt.after;
+        var anchor = styleTarget.querySelector(selector);
+        if (!anchor) {
+            throw new Error("Couldn't find the element '" + selector + "' in the style target. This probably means that the value for the 'insertAt' parameter is invalid.");
         }
-        else if (lastStyleElementInsertedAtTop.nextSibling) {
-            styleTarget.insertBefore(styleElement, lastStyleElementInsertedAtTop.nextSibling);
+        if (insertAt.before) {
+            anchor.parentNode.insertBefore(styleElement, anchor);
+            registerStyleElement(styleElement, styleTarget, priority);
         }
         else {
-            styleTarget.appendChild(styleElement);
+            insertAfter(styleTarget, anchor, styleElement, priority);
         }
-        styleElementsInsertedAtTop.push(styleElement);
-    }
-    else if (options.insertAt === "bottom") {
-        styleTarget.appendChild(styleElement);
     }
     else {
-        throw new Error("Invalid value for parameter 'insertAt'. Must be 'top' or 'bottom'.");
+        throw new Error("Invalid value for parameter 'insertAt'. Must be 'top', 'bottom', { before: selector } or { after: selector }.");
+    }
+}
+// Once the target holds elements of different priorities, insertAt only decides where
+// the first ones go, and later elements are kept in order of priority
+function findPriorityPosition(styleTarget, priority) {
+    var before = null;
+    var after = null;
+    var mixed = false;
+    for (var _i = 0, insertedStyleElements_1 = insertedStyleElements; _i < insertedStyleElements_1.length; _i++) {
+        var inserted = insertedStyleElements_1[_i];
+        if (inserted.target !== styleTarget) {
+            continue;
+        }
+        if (inserted.priority !== priority) {
+            mixed = true;
+        }
+        if (inserted.priority > priority) {
+            if (!before || precedes(inserted.element, before)) {
+                before = inserted.element;
+            }
+        }
+        else if (!after || precedes(after, inserted.element)) {
+            after = inserted.element;
+        }
+    }
+    if (!mixed) {
+        return null;
+    }
+    return before ?
+        { parent: before.parentNode, reference: before } :
+        { parent: after.parentNode, reference: after.nextSibling };
+}
+function precedes(node, otherNode) {
+    return (node.compareDocumentPosition(otherNode) & Node.DOCUMENT_POSITION_FOLLOWING) !== 0;
+}
+function insertAfter(styleTarget, anchor, styleElement, priority) {
+    var parent = anchor ? anchor.parentNode : styleTarget;
+    var lastInserted = null;
+    for (var _i = 0, insertedStyleElements_2 = insertedStyleElements; _i < insertedStyleElements_2.length; _i++) {
+        var inserted = insertedStyleElements_2[_i];
+        if (inserted.anchor === anchor && inserted.element.parentNode === parent &&
+            (!lastInserted || precedes(lastInserted, inserted.element))) {
+            lastInserted = inserted.element;
+        }
+    }
+    var reference = lastInserted ? lastInserted.nextSibling : anchor ? anchor.nextSibling : parent.firstChild;
+    parent.insertBefore(styleElement, reference);
+    insertedStyleElements.push({ element: styleElement, target: styleTarget, priority: priority, anchor: anchor });
+}
+function registerStyleElement(styleElement, styleTarget, priority) {
+    insertedStyleElements.push({ element: styleElement, target: styleTarget, priority: priority });
+}
+function findInsertedStyleElement(styleElement) {
+    for (var i = 0; i < insertedStyleElements.length; i++) {
+        if (insertedStyleElements[i].element === styleElement) {
+            return i;
+        }
     }
+    return -1;
 }
 function removeStyleElement(styleElement) {
     styleElement.parentNode.removeChild(styleElement);
-    var idx = styleElementsInsertedAtTop.indexOf(styleElement);
+    var idx = findInsertedStyleElement(styleElement);
     if (idx >= 0) {
-        styleElementsInsertedAtTop.splice(idx, 1);
+        insertedStyleElements.splice(idx, 1);
+    }
+}
+function replaceStyleElement(styleElement, newStyleElement) {
+    styleElement.parentNode.removeChild(styleElement);
+    var idx = findInsertedStyleElement(styleElement);
+    if (idx >= 0) {
+        var inserted = insertedStyleElements[idx];
+        insertedStyleElements[idx] = { element: newStyleElement, target: inserted.target, priority: inserted.priority, anchor: inserted.anchor };
+    }
+}
+// Elements are created by the document they are added to, e.g. of an iframe
+function getTargetDocument(options) {
+    var styleTarget = getElement(options.insertInto);
+    if (!styleTarget) {
+        throw new Error("Couldn't find a style target. This probably means that the value for the 'insertInto' parameter is invalid.");
     }
+    return styleTarget.ownerDocument || styleTarget;
 }
-function createStyleElement(options) {
-    var styleElement = document.createElement("style");
+function createStyleElement(options, identifier, position) {
+    var styleElement = getTargetDocument(options).createElement("style");
     options.attrs.type = "text/css";
     attachTagAttrs(styleElement, options.attrs);
-    insertStyleElement(options, styleElement);
+    attachNonce(styleElement, options);
+    if (identifier) {
+        styleElement.setAttribute(IDENTIFIER_ATTRIBUTE, identifier);
+        attachSource(styleElement, options);
+    }
+    insertStyleElement(options, styleElement, position);
     return styleElement;
 }
-function createLinkElement(options) {
-    var linkElement = document.createElement("link");
+function createLinkElement(options, identifier, position) {
+    var linkElement = getTargetDocument(options).createElement("link");
     options.attrs.type = "text/css";
     options.attrs.rel = "stylesheet";
     attachTagAttrs(linkElement, options.attrs);
-    insertStyleElement(options, linkElement);
+    attachNonce(linkElement, options);
+    linkElement.setAttribute(IDENTIFIER_ATTRIBUTE, identifier);
+    attachSource(linkElement, options);
+    insertStyleElement(options, linkElement, position);
     return linkElement;
 }
+function adoptStyleSheet(options, styleSheet) {
+    var styleTarget = getElement(options.insertInto);
+    if (!styleTarget) {
+        throw new Error("Couldn't find a style target. This probably means that the value for the 'insertInto' parameter is invalid.");
+    }
+    // Only documents and shadow roots can adopt style sheets
+    var holder = ("adoptedStyleSheets" in styleTarget ? styleTarget : styleTarget.ownerDocument);
+    // The list can't be modified in place in all browsers, so it is always replaced
+    var styleSheets = holder.adoptedStyleSheets.slice();
+    var priority = options.priority || 0;
+    var insertedAtTop = options.insertAt === "top";
+    // Like elements, style sheets are kept in order of priority once there are different ones
+    var mixed = false;
+    var index = -1;
+    var topIndex = 0;
+    for (var i = 0; i < styleSheets.length; i++) {
+        var adopted = findAdoptedStyleSheet(styleSheets[i]);
+        if (!adopted) {
+            continue;
+        }
+        if (adopted.priority !== priority) {
+            mixed = true;
+        }
+        if (adopted.priority > priority && index < 0) {
+            index = i;
+        }
+        if (adopted.insertedAtTop) {
+            topIndex = i + 1;
+        }
+    }
+    if (mixed) {
+        styleSheets.splice(index < 0 ? styleSheets.length : index, 0, styleSheet);
+    }
+    else if (insertedAtTop) {
+        styleSheets.splice(topIndex, 0, styleSheet);
+    }
+    else {
+        // Elements can't be anchors for style sheets, which are all added after the adopted style sheets
+        styleSheets.push(styleSheet);
+    }
+    holder.adoptedStyleSheets = styleSheets;
+    adoptedStyleSheets.push({ styleSheet: styleSheet, priority: priority, insertedAtTop: insertedAtTop });
+    return holder;
+}
+function findAdoptedStyleSheet(styleSheet) {
+    for (var _i = 0, adoptedStyleSheets_1 = adoptedStyleSheets; _i < adoptedStyleSheets_1.length; _i++) {
+        var adopted = adoptedStyleSheets_1[_i];
+        if (adopted.styleSheet === styleSheet) {
+            return adopted;
+        }
+    }
+    return null;
+}
+function dropStyleSheet(holder, styleSheet) {
+    holder.adoptedStyleSheets = holder.adoptedStyleSheets.filter(function (s) {
+        return s !== styleSheet;
+    });
+    var adopted = findAdoptedStyleSheet(styleSheet);
+    if (adopted) {
+        adoptedStyleSheets.splice(adoptedStyleSheets.indexOf(adopted), 1);
+    }
+}
+function attachSource(element, options) {
+    if (options.source) {
+        element.setAttribute(SOURCE_ATTRIBUTE, options.source);
+    }
+}
 function attachTagAttrs(element, attrs) {
     Object.keys(attrs).forEach(function (key) {
         element.setAttribute(key, attrs[key]);
     });
 }
-function addStyle(obj, options) {
-    var styleElement, update, remove;
+// A Content Security Policy only allows inline styles with the nonce of the page
+function attachNonce(element, options) {
+    var nonce = typeof options.nonce === "function" ? options.nonce() :
+        typeof __webpack_nonce__ !== "undefined" ? __webpack_nonce__ : null;
+    if (nonce) {
+        element.setAttribute("nonce", nonce);
+    }
+}
+// The page's server rendered tags only belong to targets in the page, not to those in an iframe or shadow root
+function takeServerRenderedElement(identifier, options) {
+    var elements = getServerRenderedElements()[identifier] || [];
+    var styleTarget = getElement(options.insertInto);
+    for (var i = 0; i < elements.length; i++) {
+        if (styleTarget && getRoot(elements[i]) === getRoot(styleTarget)) {
+            return elements.splice(i, 1)[0];
+        }
+    }
+    return null;
+}
+function getRoot(node) {
+    var withRoot = node;
+    return withRoot.getRootNode ? withRoot.getRootNode() : node.ownerDocument || node;
+}
+function addStyle(obj, options, identifier, position) {
+    if (!options.transform) {
+        return insertPart(obj, options, identifier, position);
+    }
+    // A part is only inserted while the transform returns css for it
+    var updateStyle = null;
+    function applyTransform(newObj) {
+        var css = options.transform(newObj.css, { media: newObj.media, sourceMap: newObj.sourceMap });
+        if (css === false) {
+            removeTransformedStyle();
+            // A tag the server rendered for the skipped part would stay in the page without being managed
+            var serverElement = takeServerRenderedElement(identifier, options);
+            if (serverElement) {
+                removeStyleElement(serverElement);
+            }
+        }
+        else if (updateStyle) {
+            updateStyle({ css: css, media: newObj.media, sourceMap: newObj.sourceMap });
+        }
+        else {
+            updateStyle = insertPart({ css: css, media: newObj.media, sourceMap: newObj.sourceMap }, options, identifier, position);
+        }
+    }
+    function removeTransformedStyle() {
+        if (updateStyle) {
+            updateStyle();
+            updateStyle = null;
+        }
+    }
+    applyTransform(obj);
+    return partInDOM(function updateTransformedStyle(newObj) {
+        if (newObj) {
+            applyTransform(newObj);
+        }
+        else {
+            removeTransformedStyle();
+        }
+    }, function () {
+        return updateStyle ? updateStyle.element() : null;
+    }, function () {
+        return updateStyle ? updateStyle.inspect() : null;
+    }, function () {
+        return updateStyle ? updateStyle.slot() : null;
+    });
+}
+function partInDOM(update, element, inspect, slot) {
+    var part = update;
+    part.element = element;
+    part.inspect = inspect;
+    part.slot = slot || function () {
+        return null;
+    };
+    return part;
+}
+function insertPart(obj, options, identifier, position) {
+    return options.dedupe ? insertSharedStyle(obj, options, identifier, position) : insertStyle(obj, options, identifier, position);
+}
+// Shares the element of a part with the same css and media in the same target, which is only
+// removed once no module uses it anymore
+function insertSharedStyle(obj, options, identifier, position) {
+    var target = getElement(options.insertInto);
+    var shared = acquireSharedPart(target, obj, options, identifier, position);
+    return partInDOM(function updateSharedStyle(newObj) {
+        if (!newObj) {
+            releaseSharedPart(shared);
+        }
+        else if (newObj.css !== shared.css || newObj.media !== shared.media) {
+            if (shared.refs === 1 && !findSharedPart(target, newObj)) {
+                // Not shared with other modules, so it is updated in place
+                removeFromSharedParts(shared);
+                shared.part(newObj);
+                shared = addToSharedParts({ target: target, css: newObj.css, media: newObj.media, part: shared.part, refs: 1 });
+            }
+            else {
+                releaseSharedPart(shared);
+                shared = acquireSharedPart(target, newObj, options, identifier, position);
+            }
+        }
+    }, function () {
+        // An element shared with other modules isn't moved to keep the order of the parts of one of them
+        return shared.refs === 1 ? shared.part.element() : null;
+    }, function () {
+        return shared.part.inspect();
+    });
+}
+function hashCss(css, media) {
+    var text = (media || "") + "\n" + css;
+    var hash = 5381;
+    for (var i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return String(hash);
+}
+function findSharedPart(target, obj) {
+    for (var _i = 0, _a = sharedParts[hashCss(obj.css, obj.media)] || []; _i < _a.length; _i++) {
+        var shared = _a[_i];
+        if (shared.target === target && shared.css === obj.css && shared.media === obj.media) {
+            return shared;
+        }
+    }
+    return null;
+}
+function acquireSharedPart(target, obj, options, identifier, position) {
+    var existing = findSharedPart(target, obj);
+    if (existing) {
+        existing.refs++;
+        return existing;
+    }
+    var part = insertStyle(obj, options, identifier, position);
+    return addToSharedParts({ target: target, css: obj.css, media: obj.media, part: part, refs: 1 });
+}
+function addToSharedParts(shared) {
+    var hash = hashCss(shared.css, shared.media);
+    (sharedParts[hash] = sharedParts[hash] || []).push(shared);
+    return shared;
+}
+function removeFromSharedParts(shared) {
+    var hash = hashCss(shared.css, shared.media);
+    sharedParts[hash].splice(sharedParts[hash].indexOf(shared), 1);
+    if (!sharedParts[hash].length) {
+        delete sharedParts[hash];
+    }
+}
+function releaseSharedPart(shared) {
+    if (--shared.refs === 0) {
+        removeFromSharedParts(shared);
+        shared.part();
+    }
+}
+function insertStyle(obj, options, identifier, position) {
+    var styleElement, update, remove, element = function () {
+        return null;
+    }, slot = function () {
+        return null;
+    }, styleSheet = null, removed = false;
+    var serverElement = takeServerRenderedElement(identifier, options);
     if (options.singleton) {
-        var styleIndex = singletonCounter++;
-        styleElement = singletonElement || (singletonElement = createStyleElement(options));
-        update = applyToSingletonTag.bind(null, styleElement, styleIndex, false);
-        remove = applyToSingletonTag.bind(null, styleElement, styleIndex, true);
+        var singleton_1 = getSingleton(options);
+        var singletonSlot_1 = addSingletonSlot(singleton_1, position && position());
+        slot = function () {
+            return removed ? null : singletonSlot_1;
+        };
+        styleElement = singletonSlot_1.tag.element;
+        // The shared tag can't have the attributes of every part, so they are marked with a comment
+        var comment_1 = options.source ? "\n/* " + (identifier + " " + options.source).replace(/\*\//g, "*\\/") + " */\n" : "";
+        update = function (newObj) {
+            applyToSingletonSlot(singleton_1, singletonSlot_1, comment_1, newObj);
+            styleElement = singletonSlot_1.tag.element;
+        };
+        remove = removeSingletonSlot.bind(null, singleton_1, singletonSlot_1);
+    }
+    else if (options.adoptedStyleSheets && supportsConstructableStyleSheets()) {
+        // Documents only adopt style sheets created by their own window
+        var view = getTargetDocument(options).defaultView;
+        styleSheet = new view.CSSStyleSheet();
+        var holder_1 = adoptStyleSheet(options, styleSheet);
+        update = applyToStyleSheet.bind(null, styleSheet);
+        remove = function () {
+            dropStyleSheet(holder_1, styleSheet);
+        };
     }
     else if (obj.sourceMap &&
         typeof URL === "function" &&
@@ -171,59 +821,425 @@ function addStyle(obj, options) {
         typeof URL.revokeObjectURL === "function" &&
         typeof Blob === "function" &&
         typeof btoa === "function") {
-        styleElement = createLinkElement(options);
-        update = updateLink.bind(null, styleElement, options);
-        remove = function () {
-            removeStyleElement(styleElement);
-            if (styleElement.href)
-                URL.revokeObjectURL(styleElement.href);
+        var link_1 = { element: createLinkElement(options, identifier, position()), pending: null };
+        styleElement = link_1.element;
+        element = function () {
+            return link_1.pending || link_1.element;
         };
+        update = updateLink.bind(null, link_1, options);
+        remove = removeLink.bind(null, link_1);
     }
     else {
-        styleElement = createStyleElement(options);
+        // Adopt the tag rendered by the server instead of adding the same css again
+        if (serverElement) {
+            registerStyleElement(serverElement, getElement(options.insertInto), options.priority || 0);
+        }
+        styleElement = serverElement || createStyleElement(options, identifier, position());
+        element = function () {
+            return styleElement;
+        };
         update = applyToTag.bind(null, styleElement);
         remove = function () {
             removeStyleElement(styleElement);
         };
     }
-    update(obj);
-    return function updateStyle(newObj) {
+    if (!serverElement || styleElement !== serverElement || !hasStyle(serverElement, obj)) {
+        update(obj);
+    }
+    if (serverElement && serverElement !== styleElement) {
+        removeStyleElement(serverElement);
+    }
+    function inspect() {
+        return {
+            identifier: identifier,
+            css: obj.css,
+            media: obj.media,
+            sourceMap: obj.sourceMap,
+            element: element() || styleElement || null,
+            styleSheet: styleSheet
+        };
+    }
+    emit("insert", inspect);
+    return partInDOM(function updateStyle(newObj) {
         if (newObj) {
             if (newObj.css === obj.css && newObj.media === obj.media && newObj.sourceMap === obj.sourceMap) {
                 return;
             }
             update(obj = newObj);
+            emit("update", inspect);
         }
         else {
+            var inspected_1 = inspect();
             remove();
+            removed = true;
+            emit("remove", function () {
+                return inspected_1;
+            });
+        }
+    }, function () {
+        return removed ? null : element();
+    }, function () {
+        return removed ? null : inspect();
+    }, slot);
+}
+// Only debug builds keep an inspector, the parts are only inspected when it is used
+function emit(event, inspect) {
+    var inspector = getInspector();
+    if (inspector) {
+        inspector.emit(event, inspect());
+    }
+}
+function getInspector() {
+    if (typeof DEBUG === "undefined" || !DEBUG || typeof window !== "object") {
+        return null;
+    }
+    var global = window;
+    if (!global.__STYLE_LOADER__) {
+        global.__STYLE_LOADER__ = createInspector();
+    }
+    if (!inspectorRegistered) {
+        inspectorRegistered = true;
+        global.__STYLE_LOADER__.register(inspectStyles);
+    }
+    return global.__STYLE_LOADER__;
+}
+function inspectStyles() {
+    return stylesInDom.all().map(function (domStyle) {
+        return {
+            id: domStyle.id,
+            refs: domStyle.refs,
+            target: domStyle.target,
+            parts: domStyle.parts.map(function (part) { return part.inspect(); }).filter(Boolean)
+        };
+    });
+}
+function createInspector() {
+    var sources = [];
+    var listeners = {};
+    return {
+        styles: function () {
+            return sources.reduce(function (styles, source) { return styles.concat(source()); }, []);
+        },
+        on: function (event, listener) {
+            (listeners[event] = listeners[event] || []).push(listener);
+        },
+        off: function (event, listener) {
+            listeners[event] = (listeners[event] || []).filter(function (l) { return l !== listener; });
+        },
+        register: function (source) {
+            sources.push(source);
+        },
+        emit: function (event, part) {
+            (listeners[event] || []).slice().forEach(function (listener) { return listener(part); });
+        }
+    };
+}
+function hasStyle(styleElement, obj) {
+    return styleElement.textContent === obj.css && (styleElement.getAttribute("media") || "") === (obj.media || "");
+}
+function getSingleton(options) {
+    var group = options.singleton === true ? "default" : String(options.singleton);
+    var styleTarget = getElement(options.insertInto);
+    var groupSingletons = singletons[group] = singletons[group] || [];
+    for (var _i = 0, groupSingletons_1 = groupSingletons; _i < groupSingletons_1.length; _i++) {
+        var singleton_2 = groupSingletons_1[_i];
+        if (singleton_2.target === styleTarget) {
+            return singleton_2;
         }
+    }
+    // The first module of the group decides about the attributes and the position of the tags
+    var singleton = {
+        group: group,
+        target: styleTarget,
+        options: options,
+        tags: [],
+        warned: false
     };
+    addSingletonTag(singleton);
+    groupSingletons.push(singleton);
+    return singleton;
 }
-var replaceText = (function () {
-    var textStore = [];
-    return function (index, replacement) {
-        textStore[index] = replacement;
-        return textStore.filter(Boolean).join('\n');
+function addSingletonTag(singleton) {
+    var tags = singleton.tags;
+    var lastTag = tags[tags.length - 1];
+    var tag = {
+        singleton: singleton,
+        element: createStyleElement(singleton.options, undefined, lastTag && { after: lastTag.element }),
+        slots: [],
+        selectorCount: 0,
+        sourceMapNode: null
     };
-})();
-function applyToSingletonTag(styleElement, index, remove, obj) {
-    var css = remove ? "" : obj.css;
-    if (styleElement.styleSheet) {
-        styleElement.styleSheet.cssText = replaceText(index, css);
+    tags.push(tag);
+    return tag;
+}
+// A new slot goes next to the slots of its neighbouring parts, or after all other slots
+function addSingletonSlot(singleton, position) {
+    var previous = position && position.previousSlot;
+    var next = position && position.nextSlot;
+    var tag = singleton.tags[singleton.tags.length - 1];
+    var index = tag.slots.length;
+    if (previous && previous.tag.singleton === singleton) {
+        tag = previous.tag;
+        index = tag.slots.indexOf(previous) + 1;
     }
-    else {
-        var cssNode = document.createTextNode(css);
-        var childNodes = styleElement.childNodes;
-        if (childNodes[index])
-            styleElement.removeChild(childNodes[index]);
-        if (childNodes.length) {
-            styleElement.insertBefore(cssNode, childNodes[index]);
+    else if (next && next.tag.singleton === singleton) {
+        tag = next.tag;
+        index = tag.slots.indexOf(next);
+    }
+    var slot = { css: "", obj: null, prefix: "", node: null, ruleCount: 0, selectorCount: 0, tag: tag };
+    tag.slots.splice(index, 0, slot);
+    return slot;
+}
+function applyToSingletonSlot(singleton, slot, comment, obj) {
+    // The tag can't have a media attribute for every part
+    slot.prefix = comment + (obj.media ? "@media " + obj.media + " {\n" : "");
+    slot.css = slot.prefix + obj.css + (obj.media ? "\n}" : "");
+    slot.obj = obj;
+    // Only the browsers with the selector limit split the tags
+    var selectorCount = isOldIE() ? countSelectors(obj.css) : 0;
+    slot.tag.selectorCount += selectorCount - slot.selectorCount;
+    slot.selectorCount = selectorCount;
+    writeSingletonSlot(slot.tag, slot);
+    splitSingletonTag(singleton, slot.tag);
+}
+function removeSingletonSlot(singleton, slot) {
+    slot.css = slot.prefix = "";
+    slot.obj = null;
+    var tag = slot.tag;
+    detachSingletonSlot(slot);
+    removeEmptySingletonTag(tag);
+}
+// Takes the css of the slot out of its tag, it keeps its css to be attached again
+function detachSingletonSlot(slot) {
+    var tag = slot.tag;
+    var css = slot.css;
+    slot.css = "";
+    writeSingletonSlot(tag, slot);
+    slot.css = css;
+    tag.slots.splice(tag.slots.indexOf(slot), 1);
+    tag.selectorCount -= slot.selectorCount;
+}
+function attachSingletonSlot(tag, slot, index) {
+    slot.tag = tag;
+    tag.slots.splice(index, 0, slot);
+    tag.selectorCount += slot.selectorCount;
+    writeSingletonSlot(tag, slot);
+}
+function removeEmptySingletonTag(tag) {
+    var singleton = tag.singleton;
+    if (tag.slots.length) {
+        return;
+    }
+    singleton.tags.splice(singleton.tags.indexOf(tag), 1);
+    removeStyleElement(tag.element);
+    // Nothing of the target is kept once its last part is removed, e.g. when the document of an iframe unloads
+    if (!singleton.tags.length) {
+        var groupSingletons = singletons[singleton.group];
+        groupSingletons.splice(groupSingletons.indexOf(singleton), 1);
+    }
+}
+// Moves a slot right after another one, e.g. when the modules were reordered by an update
+function moveSingletonSlot(slot, previous) {
+    var oldTag = slot.tag;
+    detachSingletonSlot(slot);
+    attachSingletonSlot(previous.tag, slot, previous.tag.slots.indexOf(previous) + 1);
+    removeEmptySingletonTag(oldTag);
+    splitSingletonTag(previous.tag.singleton, previous.tag);
+}
+function slotPrecedes(slot, otherSlot) {
+    var tags = slot.tag.singleton.tags;
+    var tagIndex = tags.indexOf(slot.tag);
+    var otherTagIndex = tags.indexOf(otherSlot.tag);
+    return tagIndex < otherTagIndex || tagIndex === otherTagIndex && slot.tag.slots.indexOf(slot) < slot.tag.slots.indexOf(otherSlot);
+}
+// Moves the last parts of a tag with too many selectors to the next tag, a single part stays where it is.
+// Selectors are only counted in old IE, so the tags of other browsers are never split.
+function splitSingletonTag(singleton, tag) {
+    while (tag.selectorCount > MAX_SELECTORS && tag.slots.length > 1) {
+        var idx = singleton.tags.indexOf(tag);
+        var nextTag = singleton.tags[idx + 1];
+        if (!nextTag && !canAddStyleSheet(singleton.options)) {
+            if (!singleton.warned) {
+                singleton.warned = true;
+                console.warn("style-loader: A singleton tag has more than " + MAX_SELECTORS + " selectors and no more tags can be added, IE ignores the rules after that.");
+            }
+            return;
+        }
+        nextTag = nextTag || addSingletonTag(singleton);
+        var slot = tag.slots[tag.slots.length - 1];
+        detachSingletonSlot(slot);
+        attachSingletonSlot(nextTag, slot, 0);
+        splitSingletonTag(singleton, nextTag);
+    }
+}
+function canAddStyleSheet(options) {
+    var document = getTargetDocument(options);
+    return document.querySelectorAll("style, link[rel=stylesheet]").length < MAX_STYLE_SHEETS;
+}
+// The selectors of the style rules, also those in @media and @supports blocks
+function countSelectors(css) {
+    return splitRules(css).reduce(function (count, rule) {
+        var blockStart = rule.indexOf("{");
+        if (blockStart < 0) {
+            return count;
+        }
+        if (rule.charAt(0) === "@") {
+            return /^@(media|supports)\b/i.test(rule) ? count + countSelectors(rule.slice(blockStart + 1, rule.lastIndexOf("}"))) : count;
+        }
+        // Commas in parentheses, e.g. of :not(), don't separate selectors
+        var selector = rule.slice(0, blockStart);
+        var depth = 0;
+        var selectors = 1;
+        for (var i = 0; i < selector.length; i++) {
+            var char = selector.charAt(i);
+            if (char === "(") {
+                depth++;
+            }
+            else if (char === ")") {
+                depth--;
+            }
+            else if (char === "," && depth === 0) {
+                selectors++;
+            }
+        }
+        return count + selectors;
+    }, 0);
+}
+// Only the text or the rules of the slot are replaced, the other parts of the tag stay untouched
+function writeSingletonSlot(tag, slot) {
+    var styleElement = tag.element;
+    var debug = typeof DEBUG !== "undefined" && DEBUG;
+    if (styleElement.styleSheet) {
+        var sheet = styleElement.sheet;
+        if (sheet && typeof sheet.insertRule === "function") {
+            replaceSlotRules(tag, slot, sheet);
         }
         else {
-            styleElement.appendChild(cssNode);
+            // Old IE can only replace the whole text, the text of the other parts is written again as it was
+            var cssText = tag.slots.map(function (other) { return other.css; }).filter(Boolean).join("\n");
+            var sourceMap_1 = debug && getSingletonSourceMap(tag, "\n");
+            styleElement.styleSheet.cssText = sourceMap_1 ? cssText + sourceMapComment(sourceMap_1) : cssText;
+        }
+        return;
+    }
+    // The source map always comes last and is added again below
+    if (tag.sourceMapNode) {
+        styleElement.removeChild(tag.sourceMapNode);
+        tag.sourceMapNode = null;
+    }
+    if (slot.node && !slot.css) {
+        styleElement.removeChild(slot.node);
+        slot.node = null;
+    }
+    else if (slot.node) {
+        slot.node.nodeValue = slot.css;
+    }
+    else if (slot.css) {
+        slot.node = styleElement.ownerDocument.createTextNode(slot.css);
+        styleElement.insertBefore(slot.node, findNextSlotNode(tag, slot));
+    }
+    var sourceMap = debug && getSingletonSourceMap(tag, "");
+    if (sourceMap) {
+        tag.sourceMapNode = styleElement.appendChild(styleElement.ownerDocument.createTextNode(sourceMapComment(sourceMap)));
+    }
+}
+function findNextSlotNode(tag, slot) {
+    var slots = tag.slots;
+    for (var i = slots.indexOf(slot) + 1; i < slots.length; i++) {
+        if (slots[i].node) {
+            return slots[i].node;
+        }
+    }
+    return null;
+}
+// The rules of the slot start after the rules of the slots in front of it
+function replaceSlotRules(tag, slot, sheet) {
+    var start = 0;
+    for (var _i = 0, _a = tag.slots; _i < _a.length; _i++) {
+        var other = _a[_i];
+        if (other === slot) {
+            break;
+        }
+        start += other.ruleCount;
+    }
+    for (; slot.ruleCount > 0; slot.ruleCount--) {
+        sheet.deleteRule(start);
+    }
+    splitRules(slot.css).forEach(function (rule) {
+        try {
+            sheet.insertRule(rule, start + slot.ruleCount);
+            slot.ruleCount++;
+        }
+        catch (e) {
+            // Rules the browser doesn't understand are dropped, like they are when it parses the whole text
+        }
+    });
+}
+// Splits css into its top level rules and statements, to insert them one by one
+function splitRules(css) {
+    var rules = [];
+    var depth = 0;
+    var start = 0;
+    for (var i = 0; i < css.length; i++) {
+        var char = css.charAt(i);
+        if (char === "/" && css.charAt(i + 1) === "*") {
+            var end = css.indexOf("*/", i + 2);
+            var isBetweenRules = depth === 0 && !/\S/.test(css.slice(start, i));
+            i = end < 0 ? css.length : end + 1;
+            if (isBetweenRules) {
+                start = i + 1;
+            }
+        }
+        else if (char === "\"" || char === "'") {
+            for (i++; i < css.length && css.charAt(i) !== char; i++) {
+                if (css.charAt(i) === "\\") {
+                    i++;
+                }
+            }
+        }
+        else if (char === "{") {
+            depth++;
+        }
+        else if (char === "}" && depth > 0 && --depth === 0 || char === ";" && depth === 0) {
+            addRule(i + 1);
+        }
+    }
+    addRule(css.length);
+    return rules;
+    function addRule(end) {
+        var rule = css.slice(start, end).trim();
+        if (rule) {
+            rules.push(rule);
         }
+        start = end;
     }
 }
+// An index map with a section for every part that has a source map
+function getSingletonSourceMap(tag, separator) {
+    var sections = [];
+    var precedingCss = "";
+    tag.slots.forEach(function (slot) {
+        if (!slot.css) {
+            return;
+        }
+        if (precedingCss) {
+            precedingCss += separator;
+        }
+        if (slot.obj && slot.obj.sourceMap) {
+            var lines = (precedingCss + slot.prefix).split("\n");
+            sections.push({
+                offset: { line: lines.length - 1, column: lines[lines.length - 1].length },
+                map: slot.obj.sourceMap
+            });
+        }
+        precedingCss += slot.css;
+    });
+    return sections.length ? { version: 3, sections: sections } : null;
+}
+function sourceMapComment(sourceMap) {
+    // http://stackoverflow.com/a/26603875
+    return "\n/*# sourceMappingURL=data:application/json;base64," + btoa(unescape(encodeURIComponent(JSON.stringify(sourceMap)))) + " */";
+}
 function applyToTag(styleElement, obj) {
     var css = obj.css;
     var media = obj.media;
@@ -237,10 +1253,21 @@ function applyToTag(styleElement, obj) {
         while (styleElement.firstChild) {
             styleElement.removeChild(styleElement.firstChild);
         }
-        styleElement.appendChild(document.createTextNode(css));
+        styleElement.appendChild(styleElement.ownerDocument.createTextNode(css));
     }
 }
-function updateLink(linkElement, options, obj) {
+function applyToStyleSheet(styleSheet, obj) {
+    styleSheet.media.mediaText = obj.media || "";
+    styleSheet.replaceSync(obj.css);
+}
+function getUrlBase(options) {
+    var base = options.convertToAbsoluteUrls;
+    if (base === "publicPath") {
+        return typeof __webpack_public_path__ === "string" ? __webpack_public_path__ : undefined;
+    }
+    return typeof base === "string" ? base : undefined;
+}
+function updateLink(link, options, obj) {
     var css = obj.css;
     var sourceMap = obj.sourceMap;
     /* If convertToAbsoluteUrls isn't defined, but sourcemaps are enabled
@@ -250,61 +1277,51 @@ function updateLink(linkElement, options, obj) {
     */
     var autoFixUrls = options.convertToAbsoluteUrls === undefined && sourceMap;
     if (options.convertToAbsoluteUrls || autoFixUrls) {
-        css = fixUrls(css);
+        css = fixUrls(css, getUrlBase(options));
     }
     if (sourceMap) {
-        // http://stackoverflow.com/a/26603875
-        css += "\n/*# sourceMappingURL=data:application/json;base64," + btoa(unescape(encodeURIComponent(JSON.stringify(sourceMap)))) + " */";
+        css += sourceMapComment(sourceMap);
     }
     var blob = new Blob([css], { type: "text/css" });
-    var oldSrc = linkElement.href;
-    linkElement.href = URL.createObjectURL(blob);
-    if (oldSrc) {
-        URL.revokeObjectURL(oldSrc);
-    }
-}
-module.exports = function (list, options) {
-    if (typeof DEBUG !== "undefined" && DEBUG) {
-        if (typeof document !== "object")
-            throw new Error("The style-loader cannot be used in a non-browser environment");
-    }
-    options = options || {};
-    options.attrs = typeof options.attrs === "object" ? options.attrs : {};
-    // Force single-tag solution on IE6-9, which has a hard limit on the # of <style>
-    // tags it will allow on a page
-    if (options.singleton === undefined) {
-        options.singleton = isOldIE();
-    }
-    // By default, add <style> tags to the <head> element
-    if (options.insertInto === undefined) {
-        options.insertInto = "head";
-    }
-    // By default, add <style> tags to the bottom of the target
-    if (options.insertAt === undefined) {
-        options.insertAt = "bottom";
+    var href = URL.createObjectURL(blob);
+    if (!link.element.href) {
+        link.element.href = href;
+        return;
     }
-    var styles = listToStyles(list);
-    addStylesToDom(styles, options);
-    return function update(newList) {
-        var mayRemove = [];
-        for (var _i = 0, styles_2 = styles; _i < styles_2.length; _i++) {
-            var style = styles_2[_i];
-            var domStyle = stylesInDom.get(style);
-            domStyle.refs--;
-            mayRemove.push(domStyle);
-        }
-        if (newList) {
-            var newStyles = listToStyles(newList);
-            addStylesToDom(newStyles, options);
+    // The old css stays until the new one is loaded, so that the page is never unstyled
+    dropPendingLink(link);
+    var linkElement = link.pending = link.element.cloneNode(false);
+    linkElement.onload = function () {
+        if (link.pending !== linkElement) {
+            return;
         }
-        for (var i = 0; i < mayRemove.length; i++) {
-            var domStyle = mayRemove[i];
-            if (domStyle.refs === 0) {
-                for (var j = 0; j < domStyle.parts.length; j++) {
-                    domStyle.parts[j]();
-                }
-                stylesInDom.delete(domStyle);
-            }
+        link.pending = null;
+        replaceStyleElement(link.element, linkElement);
+        URL.revokeObjectURL(link.element.href);
+        link.element = linkElement;
+    };
+    linkElement.onerror = function () {
+        if (link.pending !== linkElement) {
+            return;
         }
+        dropPendingLink(link);
+        console.error("style-loader: Couldn't load the updated css, keeping the previous one.");
     };
-};
+    linkElement.href = href;
+    link.element.parentNode.insertBefore(linkElement, link.element.nextSibling);
+}
+function dropPendingLink(link) {
+    if (link.pending) {
+        link.pending.parentNode.removeChild(link.pending);
+        URL.revokeObjectURL(link.pending.href);
+        link.pending = null;
+    }
+}
+function removeLink(link) {
+    dropPendingLink(link);
+    removeStyleElement(link.element);
+    if (link.element.href) {
+        URL.revokeObjectURL(link.element.href);
+    }
+}
+module.exports = addStyles;
@@ -17,10 +17,60 @@ interface Style {
 
 interface StyleInDOM {
 	readonly id: number;
-	readonly parts: ((obj?: Obj) => void)[];
+	readonly parts: PartInDOM[];
+	readonly target: string | Node;
 	refs: number;
 }
 
+interface PartInDOM {
+	// Updates the part, or removes it when called without a new part
+	(obj?: Obj): void;
+	// The element of the part, or null if it has none of its own (e.g. in a singleton tag)
+	element(): Node;
+	// The slot of the part in a singleton tag, or null if it has none of its own
+	slot(): SingletonSlot;
+	// What is in the DOM for the part, or null if the transform skipped it
+	inspect(): InspectedPart;
+}
+
+interface InspectedPart {
+	readonly identifier: string;
+	readonly css: string;
+	readonly media: string;
+	readonly sourceMap: string;
+	// The element holding the css, shared by all parts in singleton mode
+	readonly element: Node;
+	readonly styleSheet: CSSStyleSheet;
+}
+
+interface InspectedStyle {
+	readonly id: number;
+	readonly refs: number;
+	readonly target: string | Node;
+	readonly parts: InspectedPart[];
+}
+
+type InspectorEvent = "insert" | "update" | "remove";
+
+// window.__STYLE_LOADER__ in debug builds
+interface Inspector {
+	// The styles added by every copy of the runtime on the page, e.g. from several bundles
+	styles(): InspectedStyle[];
+	on(event: InspectorEvent, listener: (part: InspectedPart) => void): void;
+	off(event: InspectorEvent, listener: (part: InspectedPart) => void): void;
+	register(styles: () => InspectedStyle[]): void;
+	emit(event: InspectorEvent, part: InspectedPart): void;
+}
+
+// Where a new element goes to keep the order of the parts, instead of 'insertAt'
+interface Position {
+	readonly before?: Node;
+	readonly after?: Node;
+	// The slots of the neighbouring parts in a singleton tag
+	readonly previousSlot?: SingletonSlot;
+	readonly nextSlot?: SingletonSlot;
+}
+
 interface Part {
 	readonly css: string;
 	readonly media: string;
@@ -28,14 +78,30 @@ interface Part {
 }
 
 interface Options {
-	convertToAbsoluteUrls?: boolean;
-	singleton?: boolean;
+	// A base url, or "publicPath" for the public path of the bundle, instead of the base url of the page
+	convertToAbsoluteUrls?: boolean | string;
+	// true for the default group, or the name of the group sharing the tag
+	singleton?: boolean | string;
+	adoptedStyleSheets?: boolean;
+	// Returns the nonce of the page, see loader option 'nonce'
+	nonce?: () => string;
+	// Changes the css of every part before it is inserted, see loader option 'transform'
+	transform?: (css: string, meta: { media: string; sourceMap: string }) => string | false;
 	attrs?: {
 		type?: string;
 		rel?: string;
 	};
-	insertInto?: 'head';
-	insertAt?: 'bottom' | 'top';
+	// A selector, or the element or shadow root given to addStyles
+	insertInto?: string | Node;
+	insertAt?: 'bottom' | 'top' | { before?: string; after?: string };
+	// Elements with a higher priority come after those with a lower one, whatever the load order
+	priority?: number;
+	// The path of the css module relative to the context, or its hash, see loader option 'sourceIdentity'
+	source?: string;
+	// Parts with the same css share their element with the parts of other modules
+	dedupe?: boolean;
+	// Queues the changes to the DOM until the next animation frame or microtask, see addStyles.flush
+	batch?: boolean | 'frame' | 'microtask';
 }
 
 interface Obj {
@@ -44,6 +110,83 @@ interface Obj {
 	readonly media: string;
 }
 
+interface Collector {
+	use(list: Item[], options: Options): void;
+	unuse(list: Item[]): void;
+}
+
+// A part in a singleton tag, it keeps its place while the parts around it change
+interface SingletonSlot {
+	// The text of the part in the tag, with its comment and @media block
+	css: string;
+	obj: Obj;
+	// The text in front of the css of the part, where its source map starts
+	prefix: string;
+	// The text node of the part, in browsers that edit the tag as text
+	node: Text;
+	// The number of rules of the part, in browsers that edit the style sheet
+	ruleCount: number;
+	selectorCount: number;
+	tag: SingletonTag;
+}
+
+// One of the tags of a singleton, with a range of its parts
+interface SingletonTag {
+	readonly singleton: Singleton;
+	readonly element: StyleElement;
+	// The parts in the order of their css in the tag
+	readonly slots: SingletonSlot[];
+	selectorCount: number;
+	sourceMapNode: Text;
+}
+
+interface Singleton {
+	readonly group: string;
+	readonly target: Node;
+	// The options of the first module of the group, for the tags that are added later
+	readonly options: Options;
+	// The tags in the order of their css, a part moves to the next tag when its tag has too many selectors
+	readonly tags: SingletonTag[];
+	warned: boolean;
+}
+
+interface InsertedStyleElement {
+	readonly element: StyleElement;
+	readonly target: Node;
+	readonly priority: number;
+	// The element it was inserted after, null if it was inserted at the top
+	readonly anchor?: Node;
+}
+
+interface SharedPart {
+	readonly target: Node;
+	readonly css: string;
+	readonly media: string;
+	readonly part: PartInDOM;
+	refs: number;
+}
+
+interface AdoptedStyleSheet {
+	readonly styleSheet: CSSStyleSheet;
+	readonly priority: number;
+	readonly insertedAtTop: boolean;
+}
+
+interface Link {
+	element: HTMLLinkElement;
+	// The link to the updated css, until it is loaded
+	pending: HTMLLinkElement;
+}
+
+interface ConstructableStyleSheet extends CSSStyleSheet {
+	replaceSync(css: string): void;
+}
+
+// A Document or ShadowRoot
+interface StyleSheetHolder {
+	adoptedStyleSheets: CSSStyleSheet[];
+}
+
 interface StyleElement extends HTMLStyleElement {
 	readonly styleSheet?: {
 		cssText: string;
@@ -73,10 +216,19 @@ const stylesInDom = (() => {
 				existing.push([style, domStyle]);
 			}
 		},
+		all(): StyleInDOM[] {
+			const result: StyleInDOM[] = [];
+			Object.keys(cache).forEach(function (id) {
+				cache[id as any as number].forEach(s => result.push(s[1]));
+			});
+			return result;
+		},
 		delete(style: StyleInDOM) {
-			let existing = cache[style.id];
-			existing = existing ? existing.filter(s => s[1] !== style) : existing;
-			if (!existing || !existing.length) {
+			const existing = cache[style.id];
+			const remaining = existing ? existing.filter(s => s[1] !== style) : [];
+			if (remaining.length) {
+				cache[style.id] = remaining;
+			} else {
 				delete cache[style.id];
 			}
 		}
@@ -84,6 +236,16 @@ const stylesInDom = (() => {
 })();
 
 declare const DEBUG: boolean;
+declare const __webpack_nonce__: string;
+declare const __webpack_public_path__: string;
+declare const Promise: PromiseConstructorLike;
+
+const IDENTIFIER_ATTRIBUTE = "data-style-loader-id";
+const SOURCE_ATTRIBUTE = "data-style-loader-source";
+// IE <= 9 ignores the rules after the first 4095 selectors of a style sheet
+const MAX_SELECTORS = 4095;
+// and the style sheets after the first 31 of a document
+const MAX_STYLE_SHEETS = 31;
 declare function unescape(str: string): string;
 
 function memoize<I, O>(fn: (input: I) => O) {
@@ -106,29 +268,68 @@ const isOldIE = memoize(function () {
 });
 
 const getElement = (function (fn) {
-	const memo: { [selector: string]: ElementTagNameMap[keyof ElementTagNameMap] } = {};
-	return function (selector: keyof ElementTagNameMap) {
+	const memo: { [selector: string]: Node } = {};
+	return function (selector: string | Node) {
+		if (typeof selector !== "string") {
+			return selector;
+		}
 		if (memo[selector] === undefined) {
 			memo[selector] = (fn.bind(this) as typeof fn)(selector);
 		}
 		return memo[selector]
 	};
-})(function (styleTarget: keyof ElementTagNameMap) {
+})(function (styleTarget: string): Node {
 	return document.querySelector(styleTarget)
 });
-let singletonElement: StyleElement = null;
-let singletonCounter = 0;
-const styleElementsInsertedAtTop: StyleElement[] = [];
-const fixUrls = require("./fixUrls");
-
-export = function (list: Item[], options: Options) {
-	if (typeof DEBUG !== "undefined" && DEBUG) {
-		if (typeof document !== "object") throw new Error("The style-loader cannot be used in a non-browser environment");
+// <style> tags rendered by the server (see server.js), by the identifier of their part
+const getServerRenderedElements = memoize(function () {
+	const elements: { [identifier: string]: StyleElement[] } = {};
+	const nodes = document.querySelectorAll("style[" + IDENTIFIER_ATTRIBUTE + "]");
+	for (let i = 0; i < nodes.length; i++) {
+		const identifier = nodes[i].getAttribute(IDENTIFIER_ATTRIBUTE);
+		(elements[identifier] = elements[identifier] || []).push(nodes[i] as StyleElement);
 	}
+	return elements;
+});
+const supportsConstructableStyleSheets = memoize(function () {
+	return typeof CSSStyleSheet === "function" &&
+		"replaceSync" in CSSStyleSheet.prototype &&
+		"adoptedStyleSheets" in document;
+});
+// The tags shared by the modules of a singleton group, per target
+const singletons: { [group: string]: Singleton[] } = {};
+// In the order they were inserted, to keep that order at the top or after the same anchor
+const insertedStyleElements: InsertedStyleElement[] = [];
+const adoptedStyleSheets: AdoptedStyleSheet[] = [];
+// The parts added with the dedupe option, by the hash of their css
+const sharedParts: { [hash: string]: SharedPart[] } = {};
+let inspectorRegistered = false;
+// The changes queued with the batch option
+const queue: (() => void)[] = [];
+let flushScheduled = false;
+// While the queue is flushed, the elements to add at the bottom of every target
+let appendFragments: { target: Node; fragment: DocumentFragment }[] = null;
+const fixUrls = require("./fixUrls");
+const server = require("./server");
 
+function addStyles(list: Item[], options: Options, target?: Node) {
 	options = options || {};
 	options.attrs = typeof options.attrs === "object" ? options.attrs : {};
 
+	// Insert into the given element or shadow root instead of the 'insertInto' target
+	if (target) {
+		options = copyOptions(options);
+		options.insertInto = target;
+	}
+
+	// Outside of the browser the styles are collected and rendered into the page by the server
+	if (typeof document !== "object") {
+		return server.addStyles(list, options) as (newList?: Item[]) => void;
+	}
+
+	// Debug builds show the styles in window.__STYLE_LOADER__ from the start
+	getInspector();
+
 	// Force single-tag solution on IE6-9, which has a hard limit on the # of <style>
 	// tags it will allow on a page
 	if (options.singleton === undefined) {
@@ -145,52 +346,263 @@ export = function (list: Item[], options: Options) {
 		options.insertAt = "bottom";
 	}
 
-	const styles = listToStyles(list);
-	addStylesToDom(styles, options);
+	if (options.batch) {
+		let updateNow: (newList?: Item[]) => void = null;
+		enqueue(options, function () {
+			updateNow = addStylesNow(list, options);
+		});
+		return function update(newList?: Item[]) {
+			enqueue(options, function () {
+				updateNow(newList);
+			});
+		};
+	}
+	return addStylesNow(list, options);
+}
+
+function addStylesNow(list: Item[], options: Options) {
+	let styles = listToStyles(list);
+	let domStyles = addStylesToDom(styles, options);
 
-	return function update(newList: Item[]) {
-		const mayRemove: StyleInDOM[] = [];
-		for (const style of styles) {
-			const domStyle = stylesInDom.get(style);
-			domStyle.refs--;
-			mayRemove.push(domStyle);
-		}
+	return function update(newList?: Item[]) {
 		if (newList) {
 			const newStyles = listToStyles(newList);
-			addStylesToDom(newStyles, options);
-		}
-		for (let i = 0; i < mayRemove.length; i++) {
-			const domStyle = mayRemove[i];
-			if (domStyle.refs === 0) {
-				for (let j = 0; j < domStyle.parts.length; j++) {
-					domStyle.parts[j]();
+			domStyles = updateStylesInDom(styles, domStyles, newStyles, options);
+			styles = newStyles;
+		} else {
+			for (const domStyle of domStyles) {
+				if (--domStyle.refs === 0) {
+					removeStyleFromDom(domStyle);
 				}
-				stylesInDom.delete(domStyle);
+			}
+			domStyles = [];
+		}
+	};
+}
+
+namespace addStyles {
+	// The collector of the server render in progress, if any
+	export const collector: () => Collector = server.current;
+
+	// Applies the queued changes of the batch option right away, e.g. before measuring the layout
+	export function flush() {
+		// Changes queued while flushing wait for the next flush
+		if (!queue.length || appendFragments) {
+			return;
+		}
+		const operations = queue.splice(0);
+		// Elements added at the bottom of a target are added together
+		appendFragments = [];
+		try {
+			for (const operation of operations) {
+				operation();
+			}
+		} finally {
+			const fragments = appendFragments;
+			appendFragments = null;
+			for (const append of fragments) {
+				append.target.appendChild(append.fragment);
 			}
 		}
+	}
+
+	// The element a target given to 'use' stands for: the head of a document given as { document },
+	// e.g. of an iframe, or else the target itself
+	export function resolveTarget(target: Node | { document: Document }): Node {
+		if (target && !(target as Node).nodeType && (target as { document: Document }).document) {
+			const targetDocument = (target as { document: Document }).document;
+			return targetDocument.head || targetDocument.getElementsByTagName("head")[0] || targetDocument.documentElement;
+		}
+		return target as Node;
+	}
+
+	// Calls back once when the document of the target unloads, unless it is the document of the page.
+	// Returns a function to stop watching.
+	export function onUnload(target: Node, callback: () => void): () => void {
+		const targetDocument = target && (target.ownerDocument || target as Document);
+		const view = targetDocument && targetDocument.defaultView;
+		if (!view || targetDocument === document) {
+			return function () { };
+		}
+		function listener() {
+			view.removeEventListener("unload", listener);
+			callback();
+		}
+		view.addEventListener("unload", listener);
+		return function () {
+			view.removeEventListener("unload", listener);
+		};
+	}
+}
+
+export = addStyles;
+
+function enqueue(options: Options, operation: () => void) {
+	queue.push(operation);
+	if (flushScheduled) {
+		return;
+	}
+	flushScheduled = true;
+	const flush = function () {
+		flushScheduled = false;
+		addStyles.flush();
 	};
-};
+	if (options.batch !== "microtask" && typeof requestAnimationFrame === "function") {
+		requestAnimationFrame(flush);
+	} else if (typeof Promise === "function") {
+		new Promise<void>(function (resolve) {
+			resolve();
+		}).then(flush);
+	} else {
+		setTimeout(flush, 0);
+	}
+}
+
+function getAppendParent(styleTarget: Node): Node {
+	if (!appendFragments) {
+		return styleTarget;
+	}
+	for (const append of appendFragments) {
+		if (append.target === styleTarget) {
+			return append.fragment;
+		}
+	}
+	const fragment = (styleTarget.ownerDocument || styleTarget as Document).createDocumentFragment();
+	appendFragments.push({ target: styleTarget, fragment });
+	return fragment;
+}
+
+function copyOptions(options: Options): Options {
+	const result: { [key: string]: any } = {};
+	Object.keys(options).forEach(function (key) {
+		result[key] = (options as { [key: string]: any })[key];
+	});
+	return result;
+}
 
 function addStylesToDom(styles: Style[], options: Options) {
+	const domStyles: StyleInDOM[] = [];
 	for (const style of styles) {
-		const domStyle = stylesInDom.get(style);
+		let domStyle = stylesInDom.get(style);
 		if (domStyle) {
 			domStyle.refs++;
-			let j: number;
-			for (j = 0; j < domStyle.parts.length; j++) {
-				domStyle.parts[j](style.parts[j]);
-			}
-			for (; j < style.parts.length; j++) {
-				domStyle.parts.push(addStyle(style.parts[j], options));
+		} else {
+			domStyle = { id: style.id, refs: 1, parts: [], target: options.insertInto };
+			stylesInDom.set(style, domStyle);
+		}
+		domStyles.push(domStyle);
+	}
+	for (let i = 0; i < styles.length; i++) {
+		updateParts(domStyles, i, styles[i], options);
+	}
+	return domStyles;
+}
+
+// Updates the parts in place, so that the order of the elements stays the same as after a reload
+function updateStylesInDom(styles: Style[], domStyles: StyleInDOM[], newStyles: Style[], options: Options) {
+	const unused = domStyles.slice();
+	const newDomStyles: StyleInDOM[] = [];
+	for (const newStyle of newStyles) {
+		let domStyle: StyleInDOM = null;
+		for (let i = 0; i < unused.length; i++) {
+			if (unused[i].id === newStyle.id) {
+				domStyle = unused.splice(i, 1)[0];
+				stylesInDom.delete(domStyle);
+				break;
 			}
+		}
+		if (!domStyle) {
+			domStyle = { id: newStyle.id, refs: 1, parts: [], target: options.insertInto };
+		}
+		stylesInDom.set(newStyle, domStyle);
+		newDomStyles.push(domStyle);
+	}
+	for (let i = 0; i < newStyles.length; i++) {
+		updateParts(newDomStyles, i, newStyles[i], options);
+	}
+	// Modules that are no longer imported go last, so that their elements can still be used as positions
+	for (const domStyle of unused) {
+		removeStyleFromDom(domStyle);
+	}
+	return newDomStyles;
+}
+
+function updateParts(domStyles: StyleInDOM[], index: number, style: Style, options: Options) {
+	const parts = domStyles[index].parts;
+	for (let j = 0; j < style.parts.length; j++) {
+		if (j < parts.length) {
+			parts[j](style.parts[j]);
+			keepInOrder(domStyles, index, j);
 		} else {
-			const parts = [];
-			for (let j = 0; j < style.parts.length; j++) {
-				parts.push(addStyle(style.parts[j], options));
+			parts.push(addStyle(style.parts[j], options, style.id + "-" + j, findPosition.bind(null, domStyles, index, j)));
+		}
+	}
+	while (parts.length > style.parts.length) {
+		parts.pop()();
+	}
+}
+
+function removeStyleFromDom(domStyle: StyleInDOM) {
+	for (const part of domStyle.parts) {
+		part();
+	}
+	stylesInDom.delete(domStyle);
+}
+
+// Parts are placed before the element of the next part or after the one of the previous part
+function findPosition(domStyles: StyleInDOM[], index: number, partIndex: number): Position {
+	const next = findNextPart(domStyles, index, partIndex, part => part.element());
+	const previous = !next && findPreviousPart(domStyles, index, partIndex, part => part.element());
+	const previousSlot = findPreviousPart(domStyles, index, partIndex, part => part.slot());
+	const nextSlot = !previousSlot && findNextPart(domStyles, index, partIndex, part => part.slot());
+	return {
+		before: next && next.element(),
+		after: previous && previous.element(),
+		previousSlot: previousSlot && previousSlot.slot(),
+		nextSlot: nextSlot && nextSlot.slot()
+	};
+}
+
+function findNextPart(domStyles: StyleInDOM[], index: number, partIndex: number, has: (part: PartInDOM) => {}) {
+	for (let i = index, j = partIndex + 1; i < domStyles.length; i++, j = 0) {
+		for (; j < domStyles[i].parts.length; j++) {
+			if (has(domStyles[i].parts[j])) {
+				return domStyles[i].parts[j];
 			}
-			stylesInDom.set(style, { id: style.id, refs: 1, parts });
 		}
 	}
+	return null;
+}
+
+function findPreviousPart(domStyles: StyleInDOM[], index: number, partIndex: number, has: (part: PartInDOM) => {}) {
+	for (let i = index, j = partIndex - 1; i >= 0; i--, j = i >= 0 ? domStyles[i].parts.length - 1 : 0) {
+		for (; j >= 0; j--) {
+			if (has(domStyles[i].parts[j])) {
+				return domStyles[i].parts[j];
+			}
+		}
+	}
+	return null;
+}
+
+// Moves the element or slot of a part behind the one of the previous part, when the order of the modules changed
+function keepInOrder(domStyles: StyleInDOM[], index: number, partIndex: number) {
+	const part = domStyles[index].parts[partIndex];
+	const slot = part.slot();
+	if (slot) {
+		const previousPart = findPreviousPart(domStyles, index, partIndex, other => other.slot());
+		const previousSlot = previousPart && previousPart.slot();
+		if (previousSlot && previousSlot.tag.singleton === slot.tag.singleton && !slotPrecedes(previousSlot, slot)) {
+			moveSingletonSlot(slot, previousSlot);
+		}
+		return;
+	}
+	const element = part.element();
+	const previousPart = element && findPreviousPart(domStyles, index, partIndex, other => other.element());
+	const previous = previousPart && previousPart.element();
+	if (previous && previous.parentNode === element.parentNode && !precedes(previous, element)) {
+		previous.parentNode.insertBefore(element, previous.nextSibling);
+	}
 }
 
 function listToStyles(list: Item[]): Styles {
@@ -209,137 +621,880 @@ function listToStyles(list: Item[]): Styles {
 	return result;
 }
 
-function insertStyleElement(options: Options, styleElement: StyleElement) {
+function insertStyleElement(options: Options, styleElement: StyleElement, position?: Position) {
 	const styleTarget = getElement(options.insertInto)
 	if (!styleTarget) {
 		throw new Error("Couldn't find a style target. This probably means that the value for the 'insertInto' parameter is invalid.");
 	}
-	const lastStyleElementInsertedAtTop = styleElementsInsertedAtTop[styleElementsInsertedAtTop.length - 1];
-	if (options.insertAt === "top") {
-		if (!lastStyleElementInsertedAtTop) {
-			styleTarget.insertBefore(styleElement, styleTarget.firstChild);
-		} else if (lastStyleElementInsertedAtTop.nextSibling) {
-			styleTarget.insertBefore(styleElement, lastStyleElementInsertedAtTop.nextSibling);
+	const priority = options.priority || 0;
+	const insertAt = options.insertAt;
+	const neighbour = position && (position.before || position.after);
+	const priorityPosition = !neighbour && findPriorityPosition(styleTarget, priority);
+	if (neighbour) {
+		neighbour.parentNode.insertBefore(styleElement, position.before || position.after.nextSibling);
+		// Belongs to the same group at the top or after an anchor as its neighbour
+		const idx = findInsertedStyleElement(neighbour as StyleElement);
+		const anchor = idx >= 0 ? insertedStyleElements[idx].anchor : undefined;
+		insertedStyleElements.push({ element: styleElement, target: styleTarget, priority, anchor });
+	} else if (priorityPosition) {
+		priorityPosition.parent.insertBefore(styleElement, priorityPosition.reference);
+		registerStyleElement(styleElement, styleTarget, priority);
+	} else if (insertAt === "top") {
+		insertAfter(styleTarget, null, styleElement, priority);
+	} else if (insertAt === "bottom") {
+		getAppendParent(styleTarget).appendChild(styleElement);
+		registerStyleElement(styleElement, styleTarget, priority);
+	} else if (typeof insertAt === "object" && (insertAt.before || insertAt.after)) {
+		const selector = insertAt.before || insertAt.after;
+		const anchor = (styleTarget as Element).querySelector(selector);
+		if (!anchor) {
+			throw new Error("Couldn't find the element '" + selector + "' in the style target. This probably means that the value for the 'insertAt' parameter is invalid.");
+		}
+		if (insertAt.before) {
+			anchor.parentNode.insertBefore(styleElement, anchor);
+			registerStyleElement(styleElement, styleTarget, priority);
 		} else {
-			styleTarget.appendChild(styleElement);
+			insertAfter(styleTarget, anchor, styleElement, priority);
 		}
-		styleElementsInsertedAtTop.push(styleElement);
-	} else if (options.insertAt === "bottom") {
-		styleTarget.appendChild(styleElement);
 	} else {
-		throw new Error("Invalid value for parameter 'insertAt'. Must be 'top' or 'bottom'.");
+		throw new Error("Invalid value for parameter 'insertAt'. Must be 'top', 'bottom', { before: selector } or { after: selector }.");
+	}
+}
+
+// Once the target holds elements of different priorities, insertAt only decides where
+// the first ones go, and later elements are kept in order of priority
+function findPriorityPosition(styleTarget: Node, priority: number) {
+	let before: StyleElement = null;
+	let after: StyleElement = null;
+	let mixed = false;
+	for (const inserted of insertedStyleElements) {
+		if (inserted.target !== styleTarget) {
+			continue;
+		}
+		if (inserted.priority !== priority) {
+			mixed = true;
+		}
+		if (inserted.priority > priority) {
+			if (!before || precedes(inserted.element, before)) {
+				before = inserted.element;
+			}
+		} else if (!after || precedes(after, inserted.element)) {
+			after = inserted.element;
+		}
+	}
+	if (!mixed) {
+		return null;
+	}
+	return before ?
+		{ parent: before.parentNode, reference: before as Node } :
+		{ parent: after.parentNode, reference: after.nextSibling };
+}
+
+function precedes(node: Node, otherNode: Node) {
+	return (node.compareDocumentPosition(otherNode) & Node.DOCUMENT_POSITION_FOLLOWING) !== 0;
+}
+
+function insertAfter(styleTarget: Node, anchor: Node, styleElement: StyleElement, priority: number) {
+	const parent = anchor ? anchor.parentNode : styleTarget;
+	let lastInserted: StyleElement = null;
+	for (const inserted of insertedStyleElements) {
+		if (inserted.anchor === anchor && inserted.element.parentNode === parent &&
+			(!lastInserted || precedes(lastInserted, inserted.element))) {
+			lastInserted = inserted.element;
+		}
 	}
+	const reference = lastInserted ? lastInserted.nextSibling : anchor ? anchor.nextSibling : parent.firstChild;
+	parent.insertBefore(styleElement, reference);
+	insertedStyleElements.push({ element: styleElement, target: styleTarget, priority, anchor });
+}
+
+function registerStyleElement(styleElement: StyleElement, styleTarget: Node, priority: number) {
+	insertedStyleElements.push({ element: styleElement, target: styleTarget, priority });
+}
+
+function findInsertedStyleElement(styleElement: StyleElement) {
+	for (let i = 0; i < insertedStyleElements.length; i++) {
+		if (insertedStyleElements[i].element === styleElement) {
+			return i;
+		}
+	}
+	return -1;
 }
 
 function removeStyleElement(styleElement: StyleElement) {
 	styleElement.parentNode.removeChild(styleElement);
-	const idx = styleElementsInsertedAtTop.indexOf(styleElement);
+	const idx = findInsertedStyleElement(styleElement);
 	if (idx >= 0) {
-		styleElementsInsertedAtTop.splice(idx, 1);
+		insertedStyleElements.splice(idx, 1);
+	}
+}
+
+function replaceStyleElement(styleElement: StyleElement, newStyleElement: StyleElement) {
+	styleElement.parentNode.removeChild(styleElement);
+	const idx = findInsertedStyleElement(styleElement);
+	if (idx >= 0) {
+		const inserted = insertedStyleElements[idx];
+		insertedStyleElements[idx] = { element: newStyleElement, target: inserted.target, priority: inserted.priority, anchor: inserted.anchor };
+	}
+}
+
+// Elements are created by the document they are added to, e.g. of an iframe
+function getTargetDocument(options: Options) {
+	const styleTarget = getElement(options.insertInto);
+	if (!styleTarget) {
+		throw new Error("Couldn't find a style target. This probably means that the value for the 'insertInto' parameter is invalid.");
 	}
+	return styleTarget.ownerDocument || styleTarget as Document;
 }
 
-function createStyleElement(options: Options) {
-	const styleElement = document.createElement("style");
+function createStyleElement(options: Options, identifier?: string, position?: Position) {
+	const styleElement = getTargetDocument(options).createElement("style");
 	options.attrs.type = "text/css";
 
 	attachTagAttrs(styleElement, options.attrs);
-	insertStyleElement(options, styleElement);
+	attachNonce(styleElement, options);
+	if (identifier) {
+		styleElement.setAttribute(IDENTIFIER_ATTRIBUTE, identifier);
+		attachSource(styleElement, options);
+	}
+	insertStyleElement(options, styleElement, position);
 	return styleElement;
 }
 
-function createLinkElement(options: Options) {
-	const linkElement = document.createElement("link");
+function createLinkElement(options: Options, identifier: string, position: Position) {
+	const linkElement = getTargetDocument(options).createElement("link");
 	options.attrs.type = "text/css";
 	options.attrs.rel = "stylesheet";
 
 	attachTagAttrs(linkElement, options.attrs);
-	insertStyleElement(options, linkElement);
+	attachNonce(linkElement, options);
+	linkElement.setAttribute(IDENTIFIER_ATTRIBUTE, identifier);
+	attachSource(linkElement, options);
+	insertStyleElement(options, linkElement, position);
 	return linkElement;
 }
 
+function adoptStyleSheet(options: Options, styleSheet: CSSStyleSheet) {
+	const styleTarget = getElement(options.insertInto);
+	if (!styleTarget) {
+		throw new Error("Couldn't find a style target. This probably means that the value for the 'insertInto' parameter is invalid.");
+	}
+	// Only documents and shadow roots can adopt style sheets
+	const holder = ("adoptedStyleSheets" in styleTarget ? styleTarget : styleTarget.ownerDocument) as any as StyleSheetHolder;
+	// The list can't be modified in place in all browsers, so it is always replaced
+	const styleSheets = holder.adoptedStyleSheets.slice();
+	const priority = options.priority || 0;
+	const insertedAtTop = options.insertAt === "top";
+	// Like elements, style sheets are kept in order of priority once there are different ones
+	let mixed = false;
+	let index = -1;
+	let topIndex = 0;
+	for (let i = 0; i < styleSheets.length; i++) {
+		const adopted = findAdoptedStyleSheet(styleSheets[i]);
+		if (!adopted) {
+			continue;
+		}
+		if (adopted.priority !== priority) {
+			mixed = true;
+		}
+		if (adopted.priority > priority && index < 0) {
+			index = i;
+		}
+		if (adopted.insertedAtTop) {
+			topIndex = i + 1;
+		}
+	}
+	if (mixed) {
+		styleSheets.splice(index < 0 ? styleSheets.length : index, 0, styleSheet);
+	} else if (insertedAtTop) {
+		styleSheets.splice(topIndex, 0, styleSheet);
+	} else {
+		// Elements can't be anchors for style sheets, which are all added after the adopted style sheets
+		styleSheets.push(styleSheet);
+	}
+	holder.adoptedStyleSheets = styleSheets;
+	adoptedStyleSheets.push({ styleSheet, priority, insertedAtTop });
+	return holder;
+}
+
+function findAdoptedStyleSheet(styleSheet: CSSStyleSheet) {
+	for (const adopted of adoptedStyleSheets) {
+		if (adopted.styleSheet === styleSheet) {
+			return adopted;
+		}
+	}
+	return null;
+}
+
+function dropStyleSheet(holder: StyleSheetHolder, styleSheet: CSSStyleSheet) {
+	holder.adoptedStyleSheets = holder.adoptedStyleSheets.filter(function (s) {
+		return s !== styleSheet;
+	});
+	const adopted = findAdoptedStyleSheet(styleSheet);
+	if (adopted) {
+		adoptedStyleSheets.splice(adoptedStyleSheets.indexOf(adopted), 1);
+	}
+}
+
+function attachSource(element: Element, options: Options) {
+	if (options.source) {
+		element.setAttribute(SOURCE_ATTRIBUTE, options.source);
+	}
+}
+
 function attachTagAttrs(element: Element, attrs: { [key: string]: string }) {
 	Object.keys(attrs).forEach(function (key) {
 		element.setAttribute(key, attrs[key]);
 	});
 }
 
+// A Content Security Policy only allows inline styles with the nonce of the page
+function attachNonce(element: Element, options: Options) {
+	const nonce = typeof options.nonce === "function" ? options.nonce() :
+		typeof __webpack_nonce__ !== "undefined" ? __webpack_nonce__ : null;
+	if (nonce) {
+		element.setAttribute("nonce", nonce);
+	}
+}
+
 type Update = (obj: Obj) => void;
 type Remove = (nothing?: undefined) => void;
 
-function addStyle(obj: Obj, options: Options): Update | Remove {
+// The page's server rendered tags only belong to targets in the page, not to those in an iframe or shadow root
+function takeServerRenderedElement(identifier: string, options: Options) {
+	const elements = getServerRenderedElements()[identifier] || [];
+	const styleTarget = getElement(options.insertInto);
+	for (let i = 0; i < elements.length; i++) {
+		if (styleTarget && getRoot(elements[i]) === getRoot(styleTarget)) {
+			return elements.splice(i, 1)[0];
+		}
+	}
+	return null;
+}
+
+function getRoot(node: Node): Node {
+	const withRoot = node as any as { getRootNode?: () => Node };
+	return withRoot.getRootNode ? withRoot.getRootNode() : node.ownerDocument || node;
+}
+
+function addStyle(obj: Obj, options: Options, identifier: string, position: () => Position): PartInDOM {
+	if (!options.transform) {
+		return insertPart(obj, options, identifier, position);
+	}
+
+	// A part is only inserted while the transform returns css for it
+	let updateStyle: PartInDOM = null;
+	function applyTransform(newObj: Obj) {
+		const css = options.transform(newObj.css, { media: newObj.media, sourceMap: newObj.sourceMap });
+		if (css === false) {
+			removeTransformedStyle();
+			// A tag the server rendered for the skipped part would stay in the page without being managed
+			const serverElement = takeServerRenderedElement(identifier, options);
+			if (serverElement) {
+				removeStyleElement(serverElement);
+			}
+		} else if (updateStyle) {
+			updateStyle({ css, media: newObj.media, sourceMap: newObj.sourceMap });
+		} else {
+			updateStyle = insertPart({ css, media: newObj.media, sourceMap: newObj.sourceMap }, options, identifier, position);
+		}
+	}
+	function removeTransformedStyle() {
+		if (updateStyle) {
+			updateStyle();
+			updateStyle = null;
+		}
+	}
+
+	applyTransform(obj);
+
+	return partInDOM(function updateTransformedStyle(newObj: Obj) {
+		if (newObj) {
+			applyTransform(newObj);
+		} else {
+			removeTransformedStyle();
+		}
+	}, function () {
+		return updateStyle ? updateStyle.element() : null;
+	}, function () {
+		return updateStyle ? updateStyle.inspect() : null;
+	}, function () {
+		return updateStyle ? updateStyle.slot() : null;
+	});
+}
+
+function partInDOM(update: (obj?: Obj) => void, element: () => Node, inspect: () => InspectedPart, slot?: () => SingletonSlot) {
+	const part = update as PartInDOM;
+	part.element = element;
+	part.inspect = inspect;
+	part.slot = slot || function () {
+		return null;
+	};
+	return part;
+}
+
+function insertPart(obj: Obj, options: Options, identifier: string, position: () => Position) {
+	return options.dedupe ? insertSharedStyle(obj, options, identifier, position) : insertStyle(obj, options, identifier, position);
+}
+
+// Shares the element of a part with the same css and media in the same target, which is only
+// removed once no module uses it anymore
+function insertSharedStyle(obj: Obj, options: Options, identifier: string, position: () => Position): PartInDOM {
+	const target = getElement(options.insertInto);
+	let shared = acquireSharedPart(target, obj, options, identifier, position);
+
+	return partInDOM(function updateSharedStyle(newObj: Obj) {
+		if (!newObj) {
+			releaseSharedPart(shared);
+		} else if (newObj.css !== shared.css || newObj.media !== shared.media) {
+			if (shared.refs === 1 && !findSharedPart(target, newObj)) {
+				// Not shared with other modules, so it is updated in place
+				removeFromSharedParts(shared);
+				shared.part(newObj);
+				shared = addToSharedParts({ target, css: newObj.css, media: newObj.media, part: shared.part, refs: 1 });
+			} else {
+				releaseSharedPart(shared);
+				shared = acquireSharedPart(target, newObj, options, identifier, position);
+			}
+		}
+	}, function () {
+		// An element shared with other modules isn't moved to keep the order of the parts of one of them
+		return shared.refs === 1 ? shared.part.element() : null;
+	}, function () {
+		return shared.part.inspect();
+	});
+}
+
+function hashCss(css: string, media: string) {
+	const text = (media || "") + "\n" + css;
+	let hash = 5381;
+	for (let i = 0; i < text.length; i++) {
+		hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+	}
+	return String(hash);
+}
+
+function findSharedPart(target: Node, obj: Obj) {
+	for (const shared of sharedParts[hashCss(obj.css, obj.media)] || []) {
+		if (shared.target === target && shared.css === obj.css && shared.media === obj.media) {
+			return shared;
+		}
+	}
+	return null;
+}
+
+function acquireSharedPart(target: Node, obj: Obj, options: Options, identifier: string, position: () => Position) {
+	const existing = findSharedPart(target, obj);
+	if (existing) {
+		existing.refs++;
+		return existing;
+	}
+	const part = insertStyle(obj, options, identifier, position);
+	return addToSharedParts({ target, css: obj.css, media: obj.media, part, refs: 1 });
+}
+
+function addToSharedParts(shared: SharedPart) {
+	const hash = hashCss(shared.css, shared.media);
+	(sharedParts[hash] = sharedParts[hash] || []).push(shared);
+	return shared;
+}
+
+function removeFromSharedParts(shared: SharedPart) {
+	const hash = hashCss(shared.css, shared.media);
+	sharedParts[hash].splice(sharedParts[hash].indexOf(shared), 1);
+	if (!sharedParts[hash].length) {
+		delete sharedParts[hash];
+	}
+}
+
+function releaseSharedPart(shared: SharedPart) {
+	if (--shared.refs === 0) {
+		removeFromSharedParts(shared);
+		shared.part();
+	}
+}
+
+function insertStyle(obj: Obj, options: Options, identifier: string, position: () => Position): PartInDOM {
 	let
 		styleElement: StyleElement | HTMLLinkElement,
 		update: Update,
-		remove: Remove;
+		remove: Remove,
+		element: () => Node = function () {
+			return null;
+		},
+		slot: () => SingletonSlot = function () {
+			return null;
+		},
+		styleSheet: ConstructableStyleSheet = null,
+		removed = false;
+
+	const serverElement = takeServerRenderedElement(identifier, options);
 
 	if (options.singleton) {
-		const styleIndex = singletonCounter++;
-		styleElement = singletonElement || (singletonElement = createStyleElement(options));
-		update = applyToSingletonTag.bind(null, styleElement, styleIndex, false);
-		remove = applyToSingletonTag.bind(null, styleElement, styleIndex, true);
+		const singleton = getSingleton(options);
+		const singletonSlot = addSingletonSlot(singleton, position && position());
+		slot = function () {
+			return removed ? null : singletonSlot;
+		};
+		styleElement = singletonSlot.tag.element;
+		// The shared tag can't have the attributes of every part, so they are marked with a comment
+		const comment = options.source ? "\n/* " + (identifier + " " + options.source).replace(/\*\//g, "*\\/") + " */\n" : "";
+		update = function (newObj: Obj) {
+			applyToSingletonSlot(singleton, singletonSlot, comment, newObj);
+			styleElement = singletonSlot.tag.element;
+		};
+		remove = removeSingletonSlot.bind(null, singleton, singletonSlot);
+	} else if (options.adoptedStyleSheets && supportsConstructableStyleSheets()) {
+		// Documents only adopt style sheets created by their own window
+		const view = getTargetDocument(options).defaultView as any as { CSSStyleSheet: typeof CSSStyleSheet };
+		styleSheet = new view.CSSStyleSheet() as ConstructableStyleSheet;
+		const holder = adoptStyleSheet(options, styleSheet);
+		update = applyToStyleSheet.bind(null, styleSheet);
+		remove = function () {
+			dropStyleSheet(holder, styleSheet);
+		};
 	} else if (obj.sourceMap &&
 		typeof URL === "function" &&
 		typeof URL.createObjectURL === "function" &&
 		typeof URL.revokeObjectURL === "function" &&
 		typeof Blob === "function" &&
 		typeof btoa === "function") {
-		styleElement = createLinkElement(options);
-		update = updateLink.bind(null, styleElement, options);
-		remove = function () {
-			removeStyleElement(styleElement);
-			if ((styleElement as HTMLLinkElement).href) {
-				URL.revokeObjectURL((styleElement as HTMLLinkElement).href);
-			}
+		const link: Link = { element: createLinkElement(options, identifier, position()), pending: null };
+		styleElement = link.element;
+		element = function () {
+			return link.pending || link.element;
 		};
+		update = updateLink.bind(null, link, options);
+		remove = removeLink.bind(null, link);
 	} else {
-		styleElement = createStyleElement(options);
+		// Adopt the tag rendered by the server instead of adding the same css again
+		if (serverElement) {
+			registerStyleElement(serverElement, getElement(options.insertInto), options.priority || 0);
+		}
+		styleElement = serverElement || createStyleElement(options, identifier, position());
+		element = function () {
+			return styleElement;
+		};
 		update = applyToTag.bind(null, styleElement);
 		remove = function () {
 			removeStyleElement(styleElement);
 		};
 	}
 
-	update(obj);
+	if (!serverElement || styleElement !== serverElement || !hasStyle(serverElement, obj)) {
+		update(obj);
+	}
+	if (serverElement && serverElement !== styleElement) {
+		removeStyleElement(serverElement);
+	}
+
+	function inspect(): InspectedPart {
+		return {
+			identifier,
+			css: obj.css,
+			media: obj.media,
+			sourceMap: obj.sourceMap,
+			element: element() || styleElement || null,
+			styleSheet
+		};
+	}
+	emit("insert", inspect);
 
-	return function updateStyle(newObj: Obj) {
+	return partInDOM(function updateStyle(newObj: Obj) {
 		if (newObj) {
 			if (newObj.css === obj.css && newObj.media === obj.media && newObj.sourceMap === obj.sourceMap) {
 				return;
 			}
 			update(obj = newObj);
+			emit("update", inspect);
 		} else {
+			const inspected = inspect();
 			remove();
+			removed = true;
+			emit("remove", function () {
+				return inspected;
+			});
+		}
+	}, function () {
+		return removed ? null : element();
+	}, function () {
+		return removed ? null : inspect();
+	}, slot);
+}
+
+// Only debug builds keep an inspector, the parts are only inspected when it is used
+function emit(event: InspectorEvent, inspect: () => InspectedPart) {
+	const inspector = getInspector();
+	if (inspector) {
+		inspector.emit(event, inspect());
+	}
+}
+
+function getInspector(): Inspector {
+	if (typeof DEBUG === "undefined" || !DEBUG || typeof window !== "object") {
+		return null;
+	}
+	const global = window as any as { __STYLE_LOADER__: Inspector };
+	if (!global.__STYLE_LOADER__) {
+		global.__STYLE_LOADER__ = createInspector();
+	}
+	if (!inspectorRegistered) {
+		inspectorRegistered = true;
+		global.__STYLE_LOADER__.register(inspectStyles);
+	}
+	return global.__STYLE_LOADER__;
+}
+
+function inspectStyles(): InspectedStyle[] {
+	return stylesInDom.all().map(function (domStyle) {
+		return {
+			id: domStyle.id,
+			refs: domStyle.refs,
+			target: domStyle.target,
+			parts: domStyle.parts.map(part => part.inspect()).filter(Boolean)
+		};
+	});
+}
+
+function createInspector(): Inspector {
+	const sources: (() => InspectedStyle[])[] = [];
+	const listeners: { [event: string]: ((part: InspectedPart) => void)[] } = {};
+	return {
+		styles() {
+			return sources.reduce((styles, source) => styles.concat(source()), [] as InspectedStyle[]);
+		},
+		on(event, listener) {
+			(listeners[event] = listeners[event] || []).push(listener);
+		},
+		off(event, listener) {
+			listeners[event] = (listeners[event] || []).filter(l => l !== listener);
+		},
+		register(source) {
+			sources.push(source);
+		},
+		emit(event, part) {
+			(listeners[event] || []).slice().forEach(listener => listener(part));
 		}
 	};
 }
 
-const replaceText = (function () {
-	const textStore: string[] = [];
+function hasStyle(styleElement: StyleElement, obj: Obj) {
+	return styleElement.textContent === obj.css && (styleElement.getAttribute("media") || "") === (obj.media || "");
+}
 
-	return function (index: number, replacement: string) {
-		textStore[index] = replacement;
-		return textStore.filter(Boolean).join('\n');
+function getSingleton(options: Options) {
+	const group = options.singleton === true ? "default" : String(options.singleton);
+	const styleTarget = getElement(options.insertInto);
+	const groupSingletons = singletons[group] = singletons[group] || [];
+	for (const singleton of groupSingletons) {
+		if (singleton.target === styleTarget) {
+			return singleton;
+		}
+	}
+	// The first module of the group decides about the attributes and the position of the tags
+	const singleton: Singleton = {
+		group,
+		target: styleTarget,
+		options,
+		tags: [],
+		warned: false
 	};
-})();
+	addSingletonTag(singleton);
+	groupSingletons.push(singleton);
+	return singleton;
+}
+
+function addSingletonTag(singleton: Singleton) {
+	const tags = singleton.tags;
+	const lastTag = tags[tags.length - 1];
+	const tag: SingletonTag = {
+		singleton,
+		element: createStyleElement(singleton.options, undefined, lastTag && { after: lastTag.element }),
+		slots: [],
+		selectorCount: 0,
+		sourceMapNode: null
+	};
+	tags.push(tag);
+	return tag;
+}
+
+// A new slot goes next to the slots of its neighbouring parts, or after all other slots
+function addSingletonSlot(singleton: Singleton, position: Position) {
+	const previous = position && position.previousSlot;
+	const next = position && position.nextSlot;
+	let tag = singleton.tags[singleton.tags.length - 1];
+	let index = tag.slots.length;
+	if (previous && previous.tag.singleton === singleton) {
+		tag = previous.tag;
+		index = tag.slots.indexOf(previous) + 1;
+	} else if (next && next.tag.singleton === singleton) {
+		tag = next.tag;
+		index = tag.slots.indexOf(next);
+	}
+	const slot: SingletonSlot = { css: "", obj: null, prefix: "", node: null, ruleCount: 0, selectorCount: 0, tag };
+	tag.slots.splice(index, 0, slot);
+	return slot;
+}
+
+function applyToSingletonSlot(singleton: Singleton, slot: SingletonSlot, comment: string, obj: Obj) {
+	// The tag can't have a media attribute for every part
+	slot.prefix = comment + (obj.media ? "@media " + obj.media + " {\n" : "");
+	slot.css = slot.prefix + obj.css + (obj.media ? "\n}" : "");
+	slot.obj = obj;
+	// Only the browsers with the selector limit split the tags
+	const selectorCount = isOldIE() ? countSelectors(obj.css) : 0;
+	slot.tag.selectorCount += selectorCount - slot.selectorCount;
+	slot.selectorCount = selectorCount;
+	writeSingletonSlot(slot.tag, slot);
+	splitSingletonTag(singleton, slot.tag);
+}
+
+function removeSingletonSlot(singleton: Singleton, slot: SingletonSlot) {
+	slot.css = slot.prefix = "";
+	slot.obj = null;
+	const tag = slot.tag;
+	detachSingletonSlot(slot);
+	removeEmptySingletonTag(tag);
+}
+
+// Takes the css of the slot out of its tag, it keeps its css to be attached again
+function detachSingletonSlot(slot: SingletonSlot) {
+	const tag = slot.tag;
+	const css = slot.css;
+	slot.css = "";
+	writeSingletonSlot(tag, slot);
+	slot.css = css;
+	tag.slots.splice(tag.slots.indexOf(slot), 1);
+	tag.selectorCount -= slot.selectorCount;
+}
+
+function attachSingletonSlot(tag: SingletonTag, slot: SingletonSlot, index: number) {
+	slot.tag = tag;
+	tag.slots.splice(index, 0, slot);
+	tag.selectorCount += slot.selectorCount;
+	writeSingletonSlot(tag, slot);
+}
+
+function removeEmptySingletonTag(tag: SingletonTag) {
+	const singleton = tag.singleton;
+	if (tag.slots.length) {
+		return;
+	}
+	singleton.tags.splice(singleton.tags.indexOf(tag), 1);
+	removeStyleElement(tag.element);
+	// Nothing of the target is kept once its last part is removed, e.g. when the document of an iframe unloads
+	if (!singleton.tags.length) {
+		const groupSingletons = singletons[singleton.group];
+		groupSingletons.splice(groupSingletons.indexOf(singleton), 1);
+	}
+}
+
+// Moves a slot right after another one, e.g. when the modules were reordered by an update
+function moveSingletonSlot(slot: SingletonSlot, previous: SingletonSlot) {
+	const oldTag = slot.tag;
+	detachSingletonSlot(slot);
+	attachSingletonSlot(previous.tag, slot, previous.tag.slots.indexOf(previous) + 1);
+	removeEmptySingletonTag(oldTag);
+	splitSingletonTag(previous.tag.singleton, previous.tag);
+}
+
+function slotPrecedes(slot: SingletonSlot, otherSlot: SingletonSlot) {
+	const tags = slot.tag.singleton.tags;
+	const tagIndex = tags.indexOf(slot.tag);
+	const otherTagIndex = tags.indexOf(otherSlot.tag);
+	return tagIndex < otherTagIndex || tagIndex === otherTagIndex && slot.tag.slots.indexOf(slot) < slot.tag.slots.indexOf(otherSlot);
+}
 
-function applyToSingletonTag(styleElement: StyleElement, index: number, remove: boolean, obj: Obj) {
-	const css = remove ? "" : obj.css;
+// Moves the last parts of a tag with too many selectors to the next tag, a single part stays where it is.
+// Selectors are only counted in old IE, so the tags of other browsers are never split.
+function splitSingletonTag(singleton: Singleton, tag: SingletonTag) {
+	while (tag.selectorCount > MAX_SELECTORS && tag.slots.length > 1) {
+		const idx = singleton.tags.indexOf(tag);
+		let nextTag = singleton.tags[idx + 1];
+		if (!nextTag && !canAddStyleSheet(singleton.options)) {
+			if (!singleton.warned) {
+				singleton.warned = true;
+				console.warn("style-loader: A singleton tag has more than " + MAX_SELECTORS + " selectors and no more tags can be added, IE ignores the rules after that.");
+			}
+			return;
+		}
+		nextTag = nextTag || addSingletonTag(singleton);
+		const slot = tag.slots[tag.slots.length - 1];
+		detachSingletonSlot(slot);
+		attachSingletonSlot(nextTag, slot, 0);
+		splitSingletonTag(singleton, nextTag);
+	}
+}
+
+function canAddStyleSheet(options: Options) {
+	const document = getTargetDocument(options);
+	return document.querySelectorAll("style, link[rel=stylesheet]").length < MAX_STYLE_SHEETS;
+}
+
+// The selectors of the style rules, also those in @media and @supports blocks
+function countSelectors(css: string): number {
+	return splitRules(css).reduce(function (count, rule) {
+		const blockStart = rule.indexOf("{");
+		if (blockStart < 0) {
+			return count;
+		}
+		if (rule.charAt(0) === "@") {
+			return /^@(media|supports)\b/i.test(rule) ? count + countSelectors(rule.slice(blockStart + 1, rule.lastIndexOf("}"))) : count;
+		}
+		// Commas in parentheses, e.g. of :not(), don't separate selectors
+		const selector = rule.slice(0, blockStart);
+		let depth = 0;
+		let selectors = 1;
+		for (let i = 0; i < selector.length; i++) {
+			const char = selector.charAt(i);
+			if (char === "(") {
+				depth++;
+			} else if (char === ")") {
+				depth--;
+			} else if (char === "," && depth === 0) {
+				selectors++;
+			}
+		}
+		return count + selectors;
+	}, 0);
+}
+
+// Only the text or the rules of the slot are replaced, the other parts of the tag stay untouched
+function writeSingletonSlot(tag: SingletonTag, slot: SingletonSlot) {
+	const styleElement = tag.element;
+	const debug = typeof DEBUG !== "undefined" && DEBUG;
 
 	if (styleElement.styleSheet) {
-		styleElement.styleSheet.cssText = replaceText(index, css);
-	} else {
-		const cssNode = document.createTextNode(css);
-		const childNodes = styleElement.childNodes;
-		if (childNodes[index]) styleElement.removeChild(childNodes[index]);
-		if (childNodes.length) {
-			styleElement.insertBefore(cssNode, childNodes[index]);
+		const sheet = styleElement.sheet as CSSStyleSheet;
+		if (sheet && typeof sheet.insertRule === "function") {
+			replaceSlotRules(tag, slot, sheet);
 		} else {
-			styleElement.appendChild(cssNode);
+			// Old IE can only replace the whole text, the text of the other parts is written again as it was
+			const cssText = tag.slots.map(other => other.css).filter(Boolean).join("\n");
+			const sourceMap = debug && getSingletonSourceMap(tag, "\n");
+			styleElement.styleSheet.cssText = sourceMap ? cssText + sourceMapComment(sourceMap) : cssText;
 		}
+		return;
+	}
+
+	// The source map always comes last and is added again below
+	if (tag.sourceMapNode) {
+		styleElement.removeChild(tag.sourceMapNode);
+		tag.sourceMapNode = null;
+	}
+	if (slot.node && !slot.css) {
+		styleElement.removeChild(slot.node);
+		slot.node = null;
+	} else if (slot.node) {
+		slot.node.nodeValue = slot.css;
+	} else if (slot.css) {
+		slot.node = styleElement.ownerDocument.createTextNode(slot.css);
+		styleElement.insertBefore(slot.node, findNextSlotNode(tag, slot));
+	}
+	const sourceMap = debug && getSingletonSourceMap(tag, "");
+	if (sourceMap) {
+		tag.sourceMapNode = styleElement.appendChild(styleElement.ownerDocument.createTextNode(sourceMapComment(sourceMap)));
+	}
+}
+
+function findNextSlotNode(tag: SingletonTag, slot: SingletonSlot): Node {
+	const slots = tag.slots;
+	for (let i = slots.indexOf(slot) + 1; i < slots.length; i++) {
+		if (slots[i].node) {
+			return slots[i].node;
+		}
+	}
+	return null;
+}
+
+// The rules of the slot start after the rules of the slots in front of it
+function replaceSlotRules(tag: SingletonTag, slot: SingletonSlot, sheet: CSSStyleSheet) {
+	let start = 0;
+	for (const other of tag.slots) {
+		if (other === slot) {
+			break;
+		}
+		start += other.ruleCount;
+	}
+	for (; slot.ruleCount > 0; slot.ruleCount--) {
+		sheet.deleteRule(start);
+	}
+	splitRules(slot.css).forEach(function (rule) {
+		try {
+			sheet.insertRule(rule, start + slot.ruleCount);
+			slot.ruleCount++;
+		} catch (e) {
+			// Rules the browser doesn't understand are dropped, like they are when it parses the whole text
+		}
+	});
+}
+
+// Splits css into its top level rules and statements, to insert them one by one
+function splitRules(css: string) {
+	const rules: string[] = [];
+	let depth = 0;
+	let start = 0;
+	for (let i = 0; i < css.length; i++) {
+		const char = css.charAt(i);
+		if (char === "/" && css.charAt(i + 1) === "*") {
+			const end = css.indexOf("*/", i + 2);
+			const isBetweenRules = depth === 0 && !/\S/.test(css.slice(start, i));
+			i = end < 0 ? css.length : end + 1;
+			if (isBetweenRules) {
+				start = i + 1;
+			}
+		} else if (char === "\"" || char === "'") {
+			for (i++; i < css.length && css.charAt(i) !== char; i++) {
+				if (css.charAt(i) === "\\") {
+					i++;
+				}
+			}
+		} else if (char === "{") {
+			depth++;
+		} else if (char === "}" && depth > 0 && --depth === 0 || char === ";" && depth === 0) {
+			addRule(i + 1);
+		}
+	}
+	addRule(css.length);
+	return rules;
+
+	function addRule(end: number) {
+		const rule = css.slice(start, end).trim();
+		if (rule) {
+			rules.push(rule);
+		}
+		start = end;
 	}
 }
 
+// An index map with a section for every part that has a source map
+function getSingletonSourceMap(tag: SingletonTag, separator: string) {
+	const sections: { offset: { line: number; column: number }; map: string }[] = [];
+	let precedingCss = "";
+	tag.slots.forEach(function (slot) {
+		if (!slot.css) {
+			return;
+		}
+		if (precedingCss) {
+			precedingCss += separator;
+		}
+		if (slot.obj && slot.obj.sourceMap) {
+			const lines = (precedingCss + slot.prefix).split("\n");
+			sections.push({
+				offset: { line: lines.length - 1, column: lines[lines.length - 1].length },
+				map: slot.obj.sourceMap
+			});
+		}
+		precedingCss += slot.css;
+	});
+	return sections.length ? { version: 3, sections } : null;
+}
+
+function sourceMapComment(sourceMap: {}) {
+	// http://stackoverflow.com/a/26603875
+	return "\n/*# sourceMappingURL=data:application/json;base64," + btoa(unescape(encodeURIComponent(JSON.stringify(sourceMap)))) + " */";
+}
+
 function applyToTag(styleElement: StyleElement, obj: Obj) {
 	const css = obj.css;
 	const media = obj.media;
@@ -354,11 +1509,24 @@ function applyToTag(styleElement: StyleElement, obj: Obj) {
 		while (styleElement.firstChild) {
 			styleElement.removeChild(styleElement.firstChild);
 		}
-		styleElement.appendChild(document.createTextNode(css));
+		styleElement.appendChild(styleElement.ownerDocument.createTextNode(css));
+	}
+}
+
+function applyToStyleSheet(styleSheet: ConstructableStyleSheet, obj: Obj) {
+	styleSheet.media.mediaText = obj.media || "";
+	styleSheet.replaceSync(obj.css);
+}
+
+function getUrlBase(options: Options) {
+	const base = options.convertToAbsoluteUrls;
+	if (base === "publicPath") {
+		return typeof __webpack_public_path__ === "string" ? __webpack_public_path__ : undefined;
 	}
+	return typeof base === "string" ? base : undefined;
 }
 
-function updateLink(linkElement: HTMLLinkElement, options: Options, obj: Obj) {
+function updateLink(link: Link, options: Options, obj: Obj) {
 	let css = obj.css;
 	const sourceMap = obj.sourceMap;
 
@@ -370,21 +1538,56 @@ function updateLink(linkElement: HTMLLinkElement, options: Options, obj: Obj) {
 	const autoFixUrls = options.convertToAbsoluteUrls === undefined && sourceMap;
 
 	if (options.convertToAbsoluteUrls || autoFixUrls) {
-		css = fixUrls(css);
+		css = fixUrls(css, getUrlBase(options));
 	}
 
 	if (sourceMap) {
-		// http://stackoverflow.com/a/26603875
-		css += "\n/*# sourceMappingURL=data:application/json;base64," + btoa(unescape(encodeURIComponent(JSON.stringify(sourceMap)))) + " */";
+		css += sourceMapComment(sourceMap);
 	}
 
 	const blob = new Blob([css], { type: "text/css" });
+	const href = URL.createObjectURL(blob);
 
-	const oldSrc = linkElement.href;
+	if (!link.element.href) {
+		link.element.href = href;
+		return;
+	}
 
-	linkElement.href = URL.createObjectURL(blob);
+	// The old css stays until the new one is loaded, so that the page is never unstyled
+	dropPendingLink(link);
+	const linkElement = link.pending = link.element.cloneNode(false) as HTMLLinkElement;
+	linkElement.onload = function () {
+		if (link.pending !== linkElement) {
+			return;
+		}
+		link.pending = null;
+		replaceStyleElement(link.element, linkElement);
+		URL.revokeObjectURL(link.element.href);
+		link.element = linkElement;
+	};
+	linkElement.onerror = function () {
+		if (link.pending !== linkElement) {
+			return;
+		}
+		dropPendingLink(link);
+		console.error("style-loader: Couldn't load the updated css, keeping the previous one.");
+	};
+	linkElement.href = href;
+	link.element.parentNode.insertBefore(linkElement, link.element.nextSibling);
+}
+
+function dropPendingLink(link: Link) {
+	if (link.pending) {
+		link.pending.parentNode.removeChild(link.pending);
+		URL.revokeObjectURL(link.pending.href);
+		link.pending = null;
+	}
+}
 
-	if (oldSrc) {
-		URL.revokeObjectURL(oldSrc);
+function removeLink(link: Link) {
+	dropPendingLink(link);
+	removeStyleElement(link.element);
+	if (link.element.href) {
+		URL.revokeObjectURL(link.element.href);
 	}
 }
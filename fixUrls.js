@@ -6,84 +6,350 @@
  *
  * One solution is to only use full urls, but that may be impossible.
  *
- * Instead, this function "fixes" the relative urls to be absolute according to the current page location.
+ * Instead, this function "fixes" the relative urls to be absolute according to the base url of the page,
+ * which honors a `<base href>`, or according to the given base url, which may be relative to the page.
  *
- * A rudimentary test suite is located at `test/fixUrls.js` and can be run via the `npm test` command.
+ * The css is tokenized like the browser does it (https://www.w3.org/TR/css-syntax-3/#tokenization), so that
+ * only real urls are changed: those of `url()`, and the strings of `@import`, `src()` and `image-set()`.
+ * Comments, other strings and everything else are left as they are.
+ *
+ * The test suite is located at `test/fixUrlsTest.js` and can be run via the `npm test` command.
  *
  */
 
-module.exports = function (css) {
-  // get current location
-  var location = typeof window !== "undefined" && window.location;
+// the functions with strings that are urls
+var URL_FUNCTIONS = ["src", "image-set", "-webkit-image-set"];
 
-  if (!location) {
-    throw new Error("fixUrls requires window.location");
-  }
+module.exports = function (css, base) {
+	// an absolute base url doesn't need the page
+	var baseUrl = base && /^[a-z][a-z0-9+.-]*:/i.test(base) ? base : resolveUrl(base || "", getPageUrl());
 
 	// blank or null?
 	if (!css || typeof css !== "string") {
 	  return css;
   }
 
-  var baseUrl = location.protocol + "//" + location.host;
-  var currentDir = baseUrl + location.pathname.replace(/\/[^\/]*$/, "/");
-
-	// convert each url(...)
-	/*
-	This regular expression is just a way to recursively match brackets within
-	a string.
-
-	 /url\s*\(  = Match on the word "url" with any whitespace after it and then a parens
-	   (  = Start a capturing group
-	     (?:  = Start a non-capturing group
-	         [^)(]  = Match anything that isn't a parentheses
-	         |  = OR
-	         \(  = Match a start parentheses
-	             (?:  = Start another non-capturing groups
-	                 [^)(]+  = Match anything that isn't a parentheses
-	                 |  = OR
-	                 \(  = Match a start parentheses
-	                     [^)(]*  = Match anything that isn't a parentheses
-	                 \)  = Match a end parentheses
-	             )  = End Group
-              *\) = Match anything and then a close parens
-          )  = Close non-capturing group
-          *  = Match anything
-       )  = Close capturing group
-	 \)  = Match a close parens
-
-	 /gi  = Get all matches, not the first.  Be case insensitive.
-	 */
-	var fixedCss = css.replace(/url\s*\(((?:[^)(]|\((?:[^)(]+|\([^)(]*\))*\))*)\)/gi, function(fullMatch, origUrl) {
-		// strip quotes (if they exist)
-		var unquotedOrigUrl = origUrl
-			.trim()
-			.replace(/^"(.*)"$/, function(o, $1){ return $1; })
-			.replace(/^'(.*)'$/, function(o, $1){ return $1; });
-
-		// already a full url? no change
-		if (/^(#|data:|http:\/\/|https:\/\/|file:\/\/\/)/i.test(unquotedOrigUrl)) {
-		  return fullMatch;
-		}
+	var fixedCss = "";
+	// the index up to which the css is in fixedCss
+	var copied = 0;
+	// the names of the functions around the current token
+	var functions = [];
+	// "import" until the url of an @import, "namespace" until the end of an @namespace, whose url isn't a resource
+	var atRule = null;
+	var i = 0;
 
-		// convert the url to a full url
-		var newUrl;
+	while (i < css.length) {
+		var char = css.charAt(i);
 
-		if (unquotedOrigUrl.indexOf("//") === 0) {
-		  	//TODO: should we add protocol?
-			newUrl = unquotedOrigUrl;
-		} else if (unquotedOrigUrl.indexOf("/") === 0) {
-			// path should be relative to the base url
-			newUrl = baseUrl + unquotedOrigUrl; // already starts with '/'
+		if (char === "/" && css.charAt(i + 1) === "*") {
+			var commentEnd = css.indexOf("*/", i + 2);
+			i = commentEnd < 0 ? css.length : commentEnd + 2;
+		} else if (char === "\"" || char === "'") {
+			var string = readString(css, i);
+			if (!string.bad && (atRule === "import" || URL_FUNCTIONS.indexOf(functions[functions.length - 1]) >= 0)) {
+				replaceUrl(i, string.end, string.value, false);
+			}
+			if (atRule === "import") {
+				atRule = null;
+			}
+			i = string.end;
+		} else if (char === "@" && isNameStart(css, i + 1)) {
+			var keyword = readName(css, i + 1);
+			var atRuleName = keyword.value.toLowerCase();
+			atRule = atRuleName === "import" || atRuleName === "namespace" ? atRuleName : null;
+			i = keyword.end;
+		} else if (isNameStart(css, i)) {
+			var name = readName(css, i);
+			var functionName = name.value.toLowerCase();
+			// whitespace in front of the parenthesis of url() has always been accepted here
+			var open = functionName === "url" ? skipWhitespace(css, name.end) : name.end;
+			if (css.charAt(open) !== "(") {
+				i = name.end;
+			} else if (functionName === "url") {
+				var url = readUrl(css, open + 1);
+				if (url.value !== null && atRule !== "namespace") {
+					replaceUrl(i, url.end, url.value, true);
+				}
+				if (atRule === "import") {
+					atRule = null;
+				}
+				i = url.end;
+			} else {
+				functions.push(functionName);
+				i = open + 1;
+			}
+		} else if (char === "(") {
+			functions.push("");
+			i++;
+		} else if (char === ")") {
+			functions.pop();
+			i++;
+		} else if (char === "{" || char === "}" || char === ";") {
+			// also recovers from parentheses that were never closed
+			functions = [];
+			atRule = null;
+			i++;
 		} else {
-			// path should be relative to current directory
-			newUrl = currentDir + unquotedOrigUrl.replace(/^\.\//, ""); // Strip leading './'
+			i++;
 		}
-
-		// send back the fixed url(...)
-		return "url(" + JSON.stringify(newUrl) + ")";
-	});
+	}
 
 	// send back the fixed css
-	return fixedCss;
+	return fixedCss + css.slice(copied);
+
+	function replaceUrl(start, end, origUrl, isUrlFunction) {
+		var newUrl = fixUrl(origUrl, baseUrl);
+		if (newUrl === null) {
+			return;
+		}
+		fixedCss += css.slice(copied, start) + (isUrlFunction ? "url(" + quote(newUrl) + ")" : quote(newUrl));
+		copied = end;
+	}
 };
+
+// the absolute url, null if the url doesn't need to be changed
+function fixUrl(origUrl, baseUrl) {
+	var url = origUrl.trim();
+
+	// already a full url or only a hash? no change
+	if (!url || /^(#|[a-z][a-z0-9+.-]*:)/i.test(url)) {
+		return null;
+	}
+
+	if (url.indexOf("//") === 0) {
+		//TODO: should we add protocol?
+		return url;
+	}
+
+	return resolveUrl(url, baseUrl);
+}
+
+function quote(value) {
+	return "\"" + value.replace(/["\\]/g, "\\$&").replace(/[\n\r\f]/g, function (char) {
+		return "\\" + char.charCodeAt(0).toString(16) + " ";
+	}) + "\"";
+}
+
+function isWhitespace(char) {
+	return char === " " || char === "\t" || char === "\n" || char === "\r" || char === "\f";
+}
+
+function skipWhitespace(css, i) {
+	while (isWhitespace(css.charAt(i))) {
+		i++;
+	}
+	return i;
+}
+
+function isValidEscape(css, i) {
+	var next = css.charAt(i + 1);
+	return css.charAt(i) === "\\" && next !== "\n" && next !== "\r" && next !== "\f";
+}
+
+function isNameChar(char) {
+	return /[a-zA-Z0-9_\-]/.test(char) || char.charCodeAt(0) >= 0x80;
+}
+
+function isNameStart(css, i) {
+	var char = css.charAt(i);
+	if (char === "-") {
+		return css.charAt(i + 1) === "-" || isNameStart(css, i + 1);
+	}
+	return /[a-zA-Z_]/.test(char) || char.charCodeAt(0) >= 0x80 || isValidEscape(css, i);
+}
+
+// an identifier, with its escapes replaced by the characters
+function readName(css, i) {
+	var value = "";
+	while (i < css.length) {
+		if (isValidEscape(css, i)) {
+			var escape = readEscape(css, i);
+			value += escape.value;
+			i = escape.end;
+		} else if (isNameChar(css.charAt(i))) {
+			value += css.charAt(i++);
+		} else {
+			break;
+		}
+	}
+	return { value: value, end: i };
+}
+
+// a backslash followed by a character or by up to 6 hex digits and an optional whitespace
+function readEscape(css, i) {
+	var hex = /^[0-9a-fA-F]{1,6}/.exec(css.slice(i + 1, i + 7));
+	if (!hex) {
+		return { value: css.charAt(i + 1), end: Math.min(i + 2, css.length) };
+	}
+	var end = i + 1 + hex[0].length;
+	if (css.slice(end, end + 2) === "\r\n") {
+		end += 2;
+	} else if (isWhitespace(css.charAt(end))) {
+		end++;
+	}
+	return { value: fromCodePoint(parseInt(hex[0], 16)), end: end };
+}
+
+function fromCodePoint(codePoint) {
+	if (codePoint === 0 || codePoint > 0x10ffff || codePoint >= 0xd800 && codePoint <= 0xdfff) {
+		return "\ufffd";
+	}
+	if (codePoint <= 0xffff) {
+		return String.fromCharCode(codePoint);
+	}
+	codePoint -= 0x10000;
+	return String.fromCharCode(0xd800 + (codePoint >> 10), 0xdc00 + (codePoint & 0x3ff));
+}
+
+// a string is bad when a newline ends it before the closing quote
+function readString(css, i) {
+	var quoteChar = css.charAt(i);
+	var value = "";
+	i++;
+	while (i < css.length) {
+		var char = css.charAt(i);
+		if (char === quoteChar) {
+			return { value: value, end: i + 1, bad: false };
+		} else if (char === "\n" || char === "\r" || char === "\f") {
+			return { value: value, end: i, bad: true };
+		} else if (char === "\\") {
+			if (isValidEscape(css, i)) {
+				var escape = readEscape(css, i);
+				value += escape.value;
+				i = escape.end;
+			} else {
+				// an escaped newline continues the string on the next line
+				i += css.slice(i + 1, i + 3) === "\r\n" ? 3 : 2;
+			}
+		} else {
+			value += char;
+			i++;
+		}
+	}
+	return { value: value, end: i, bad: false };
+}
+
+// the rest of url( after the parenthesis, the value is null for a bad url
+function readUrl(css, i) {
+	i = skipWhitespace(css, i);
+	var char = css.charAt(i);
+
+	if (char === "\"" || char === "'") {
+		var string = readString(css, i);
+		var close = skipWhitespace(css, string.end);
+		if (!string.bad && (css.charAt(close) === ")" || close === css.length)) {
+			return { value: string.value, end: Math.min(close + 1, css.length) };
+		}
+		return { value: null, end: skipBadUrl(css, close) };
+	}
+
+	var value = "";
+	while (i < css.length) {
+		char = css.charAt(i);
+		if (char === ")") {
+			return { value: value, end: i + 1 };
+		} else if (isWhitespace(char)) {
+			i = skipWhitespace(css, i);
+			if (css.charAt(i) === ")" || i === css.length) {
+				return { value: value, end: Math.min(i + 1, css.length) };
+			}
+			return { value: null, end: skipBadUrl(css, i) };
+		} else if (char === "\"" || char === "'" || char === "(" || /[\x00-\x08\x0b\x0e-\x1f\x7f]/.test(char)) {
+			return { value: null, end: skipBadUrl(css, i) };
+		} else if (char === "\\") {
+			if (!isValidEscape(css, i)) {
+				return { value: null, end: skipBadUrl(css, i) };
+			}
+			var escape = readEscape(css, i);
+			value += escape.value;
+			i = escape.end;
+		} else {
+			value += char;
+			i++;
+		}
+	}
+	return { value: value, end: i };
+}
+
+// the rest of a bad url up to the closing parenthesis, which isn't changed
+function skipBadUrl(css, i) {
+	while (i < css.length) {
+		var char = css.charAt(i);
+		if (char === ")") {
+			return i + 1;
+		}
+		i += isValidEscape(css, i) ? 2 : 1;
+	}
+	return i;
+}
+
+function getPageUrl() {
+	// get current location
+	var location = typeof window !== "undefined" && window.location;
+
+	if (!location) {
+		throw new Error("fixUrls requires window.location");
+	}
+
+	var document = window.document;
+	if (document && document.baseURI) {
+		return document.baseURI;
+	}
+	// IE doesn't have document.baseURI
+	var baseElement = document && document.getElementsByTagName && document.getElementsByTagName("base")[0];
+	var baseHref = baseElement && baseElement.getAttribute("href");
+	return baseHref ? resolveUrl(baseHref, location.href) : location.href;
+}
+
+// scheme, authority, path, query and fragment, see https://tools.ietf.org/html/rfc3986#appendix-B
+var URL_PARTS = /^(?:([a-z][a-z0-9+.-]*:))?(?:(\/\/[^\/?#]*))?([^?#]*)(\?[^#]*)?(#.*)?$/i;
+
+// Resolves a url like the browser does, see https://tools.ietf.org/html/rfc3986#section-5.2
+function resolveUrl(url, base) {
+	var ref = URL_PARTS.exec(url);
+	var baseParts = URL_PARTS.exec(base);
+	var scheme = ref[1] || baseParts[1] || "";
+	var authority, path, query = ref[4] || "";
+
+	if (ref[1] || ref[2]) {
+		authority = ref[2] || "";
+		path = removeDotSegments(ref[3]);
+	} else {
+		authority = baseParts[2] || "";
+		if (!ref[3]) {
+			path = baseParts[3];
+			query = ref[4] || baseParts[4] || "";
+		} else if (ref[3].charAt(0) === "/") {
+			path = removeDotSegments(ref[3]);
+		} else if (authority && !baseParts[3]) {
+			path = removeDotSegments("/" + ref[3]);
+		} else {
+			path = removeDotSegments(baseParts[3].replace(/[^\/]*$/, "") + ref[3]);
+		}
+	}
+
+	return scheme + authority + path + query + (ref[5] || "");
+}
+
+function removeDotSegments(path) {
+	var segments = path.split("/");
+	var output = [];
+	for (var i = 0; i < segments.length; i++) {
+		var segment = segments[i];
+		var isLast = i === segments.length - 1;
+		if (segment === "..") {
+			// can't go above the root
+			if (output.length > 1 || output.length === 1 && output[0] !== "") {
+				output.pop();
+			}
+		}
+		if (segment === "." || segment === "..") {
+			if (isLast) {
+				output.push("");
+			}
+		} else {
+			output.push(segment);
+		}
+	}
+	return output.join("/");
+}
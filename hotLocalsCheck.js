@@ -0,0 +1,22 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+// Part of the hot update handlers of index.js and useable.js: skips the update of the styles
+// and passes it on to the importers when the class names of the locals changed.
+// Webpack versions without module.hot.invalidate fail the update instead, which reloads the page.
+module.exports = [
+	"		var equalLocals = (function(a, b) {",
+	"			var key, count = 0;",
+	"			for(key in a) {",
+	"				if(!b || a[key] !== b[key]) return false;",
+	"				count++;",
+	"			}",
+	"			for(key in b) count--;",
+	"			return count === 0;",
+	"		}(content.locals, newContent.locals));",
+	"		if(!equalLocals) {",
+	"			if(typeof module.hot.invalidate === 'function') return module.hot.invalidate();",
+	"			throw new Error('Aborting CSS HMR due to changed css-modules locals.');",
+	"		}"
+].join("\n");
@@ -3,32 +3,171 @@
 	Author Tobias Koppers @sokra
 */
 var loaderUtils = require("loader-utils"),
-	path = require("path");
+	path = require("path"),
+	validateOptions = require("./validateOptions"),
+	sourceIdentity = require("./sourceIdentity"),
+	schema = require("./options.json"),
+	hotLocalsCheck = require("./hotLocalsCheck");
 module.exports = function () { };
 module.exports.pitch = function (remainingRequest) {
 	if (this.cacheable) this.cacheable();
 	var query = loaderUtils.getOptions(this) || {};
+	validateOptions(this, schema, query);
+	if (!query.esModule) {
+		return generate(this, remainingRequest, query, []);
+	}
+	// The names of the locals are needed for the named exports
+	var callback = this.async();
+	var loader = this;
+	this.loadModule("!!" + remainingRequest, function (err, source, map, module) {
+		if (err) return callback(err);
+		var localNames = getLocalNames(loader, source);
+		processDependencies(loader, module, function (err) {
+			if (err) return callback(err);
+			callback(null, generate(loader, remainingRequest, query, localNames));
+		});
+	});
+};
+
+// webpack 2 doesn't build the dependencies of a loaded module, not even when the module is required later on.
+// this._compilation is the compilation the webpack docs offer to loaders for cases like this.
+function processDependencies(loader, module, callback) {
+	var unprocessed = module && module.dependencies.some(function (dependency) {
+		return dependency.request && !dependency.module;
+	});
+	if (!unprocessed) return callback();
+	loader._compilation.processModuleDependencies(module, callback);
+}
+
+function generate(loader, remainingRequest, query, localNames) {
+	var stylesRequest = loaderUtils.stringifyRequest(loader, "!!" + remainingRequest);
+	var esModule = !!query.esModule;
+	var source = sourceIdentity(loader, query);
 	return [
 		"// style-loader: Adds some css to the DOM by adding a <style> tag",
 		"",
 		"// load the styles",
-		"var content = require(" + loaderUtils.stringifyRequest(this, "!!" + remainingRequest) + ");",
-		"if(typeof content === 'string') content = [[module.id, content, '']];",
+		esModule ? "import styles from " + stylesRequest + ";" : "var styles = require(" + stylesRequest + ");",
+		esModule ? "import addStyles from " + loaderUtils.stringifyRequest(loader, "!" + path.join(__dirname, "addStyles.js")) + ";" : "",
+		query.nonce && esModule ? "import nonce from " + loaderUtils.stringifyRequest(loader, "!" + path.resolve(query.nonce)) + ";" : "",
+		query.transform && esModule ? "import transform from " + loaderUtils.stringifyRequest(loader, "!" + path.resolve(query.transform)) + ";" : "",
+		"var content = typeof styles === 'string' ? [[module.id, styles, '']] : styles;",
+		"var options = " + JSON.stringify(query) + ";",
+		source ? "options.source = " + JSON.stringify(source) + ";" : "",
+		query.nonce ? "options.nonce = " + (esModule ? "nonce" : "require(" + loaderUtils.stringifyRequest(loader, "!" + path.resolve(query.nonce)) + ")") + ";" : "",
+		query.transform ? "options.transform = " + (esModule ? "transform" : "require(" + loaderUtils.stringifyRequest(loader, "!" + path.resolve(query.transform)) + ")") + ";" : "",
 		"// add the styles to the DOM",
-		"var update = require(" + loaderUtils.stringifyRequest(this, "!" + path.join(__dirname, "addStyles.js")) + ")(content, " + JSON.stringify(query) + ");",
-		"if(content.locals) module.exports = content.locals;",
+		"var update = " + (esModule ? "addStyles" : "require(" + loaderUtils.stringifyRequest(loader, "!" + path.join(__dirname, "addStyles.js")) + ")") + "(content, options);",
+		esModule ? "export default content.locals || {};" : "if(content.locals) module.exports = content.locals;",
+		esModule ? localNames.map(function (name) {
+			return "export var " + name + " = content.locals[" + JSON.stringify(name) + "];";
+		}).join("\n") : "",
 		"// Hot Module Replacement",
 		"if(module.hot) {",
 		"	// When the styles change, update the <style> tags",
-		"	if(!content.locals) {",
-		"		module.hot.accept(" + loaderUtils.stringifyRequest(this, "!!" + remainingRequest) + ", function() {",
-		"			var newContent = require(" + loaderUtils.stringifyRequest(this, "!!" + remainingRequest) + ");",
-		"			if(typeof newContent === 'string') newContent = [[module.id, newContent, '']];",
-		"			update(newContent);",
-		"		});",
-		"	}",
+		"	module.hot.accept(" + stylesRequest + ", function() {",
+		// webpack updates the imported binding before calling the handler
+		esModule ? "		var newStyles = styles;" : "		var newStyles = require(" + stylesRequest + ");",
+		"		var newContent = typeof newStyles === 'string' ? [[module.id, newStyles, '']] : newStyles;",
+		"		// Modules importing the locals have to be updated when the class names changed",
+		hotLocalsCheck,
+		"		content = newContent;",
+		"		update(newContent);",
+		"	});",
 		"	// When the module is disposed, remove the <style> tags",
 		"	module.hot.dispose(function() { update(); });",
 		"}"
 	].join("\n");
-};
+}
+
+var RESERVED_WORDS = ("break case catch class const continue debugger default delete do else enum export extends " +
+	"false finally for function if implements import in instanceof interface let new null package private protected " +
+	"public return static super switch this throw true try typeof var void while with yield await arguments eval").split(" ");
+
+// The locals of css-loader that can be exported by name, read from the code of the css module without running it,
+// as it requires the imported css and assets
+function getLocalNames(loader, source) {
+	var match = /\.locals\s*=\s*\{/.exec(source);
+	if (!match) return [];
+	var keys = readObjectKeys(source, match.index + match[0].length);
+	if (!keys) {
+		loader.emitWarning(new Error("Couldn't read the names of the locals of the css module, they are only exported as default."));
+		return [];
+	}
+	var names = keys.filter(function (name, index) {
+		return /^[A-Za-z_$][\w$]*$/.test(name) && RESERVED_WORDS.indexOf(name) < 0 && keys.indexOf(name) === index;
+	});
+	if (keys.length && !names.length) {
+		loader.emitWarning(new Error("None of the locals are valid names to export, they are only exported as default."));
+	}
+	return names;
+}
+
+// The keys of an object literal in generated code, from after its opening brace, null if it doesn't end
+function readObjectKeys(source, i) {
+	var keys = [];
+	var depth = 0;
+	var expectKey = true;
+	while (i < source.length) {
+		var char = source.charAt(i);
+		if (/\s/.test(char)) {
+			i++;
+		} else if (source.substr(i, 2) === "//") {
+			i = source.indexOf("\n", i);
+			if (i < 0) return null;
+		} else if (source.substr(i, 2) === "/*") {
+			i = source.indexOf("*/", i);
+			if (i < 0) return null;
+			i += 2;
+		} else if (char === "\"" || char === "'") {
+			var string = readString(source, i);
+			if (!string) return null;
+			i = string.end;
+			if (depth === 0 && expectKey) {
+				keys.push(string.value);
+				expectKey = false;
+			}
+		} else if (depth === 0 && expectKey && /[A-Za-z_$]/.test(char)) {
+			var identifier = /^[\w$]+/.exec(source.slice(i))[0];
+			keys.push(identifier);
+			expectKey = false;
+			i += identifier.length;
+		} else if (char === "(" || char === "[" || char === "{") {
+			depth++;
+			i++;
+		} else if (char === ")" || char === "]" || char === "}") {
+			if (depth === 0) return keys;
+			depth--;
+			i++;
+		} else {
+			if (depth === 0 && char === ",") expectKey = true;
+			i++;
+		}
+	}
+	return null;
+}
+
+// A javascript string literal and the index after it, null if it doesn't end
+function readString(source, i) {
+	var quote = source.charAt(i);
+	var value = "";
+	for (i++; i < source.length; i++) {
+		var char = source.charAt(i);
+		if (char === quote) {
+			return { value: value, end: i + 1 };
+		}
+		if (char === "\\") {
+			var next = source.charAt(++i);
+			var unicode = next === "u" && /^[0-9a-fA-F]{4}/.exec(source.substr(i + 1, 4));
+			if (unicode) {
+				value += String.fromCharCode(parseInt(unicode[0], 16));
+				i += 4;
+			} else {
+				value += { n: "\n", r: "\r", t: "\t" }[next] || next;
+			}
+		} else {
+			value += char;
+		}
+	}
+	return null;
+}
@@ -0,0 +1,167 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+
+// Styles added outside of a render (e.g. by a module that was required at startup)
+// are part of every page, like they are in the browser.
+var globalStyles = [];
+var activeCollector = null;
+
+function Collector() {
+	this.styles = [];
+}
+
+// Used by the reference-counted API while a render is in progress
+Collector.prototype.use = function(list, options) {
+	var entry = findEntry(this.styles, list);
+	if(entry) {
+		entry.refs++;
+	} else {
+		this.styles.push({ list: list, options: options || {}, refs: 1 });
+	}
+};
+
+Collector.prototype.unuse = function(list) {
+	var entry = findEntry(this.styles, list);
+	if(entry && !(--entry.refs)) {
+		this.styles.splice(this.styles.indexOf(entry), 1);
+	}
+};
+
+Collector.prototype.getStyleTags = function() {
+	// The css of parts with the dedupe option is only rendered once
+	var renderedCss = {};
+	return sortByPriority(globalStyles.concat(this.styles)).map(function(entry) {
+		return renderEntry(entry, renderedCss);
+	}).join("");
+};
+
+Collector.prototype.injectInto = function(html) {
+	var tags = this.getStyleTags();
+	if(/<\/head>/i.test(html)) {
+		return html.replace(/<\/head>/i, function(closingTag) {
+			return tags + closingTag;
+		});
+	}
+	return tags + html;
+};
+
+function findEntry(entries, list) {
+	for(var i = 0; i < entries.length; i++) {
+		if(entries[i].list === list) return entries[i];
+	}
+}
+
+// Like in the browser, styles with a higher priority come last, and otherwise keep their order
+function sortByPriority(entries) {
+	return entries.map(function(entry, index) {
+		return { entry: entry, index: index, priority: entry.options.priority || 0 };
+	}).sort(function(a, b) {
+		return a.priority - b.priority || a.index - b.index;
+	}).map(function(item) {
+		return item.entry;
+	});
+}
+
+function escapeHtml(str) {
+	return String(str)
+		.replace(/&/g, "&amp;")
+		.replace(/"/g, "&quot;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;");
+}
+
+function renderAttrs(attrs) {
+	return Object.keys(attrs).map(function(key) {
+		return " " + key + "=\"" + escapeHtml(attrs[key]) + "\"";
+	}).join("");
+}
+
+function renderNonce(options) {
+	var nonce = typeof options.nonce === "function" ? options.nonce() :
+		typeof __webpack_nonce__ !== "undefined" ? __webpack_nonce__ : null;
+	return nonce ? " nonce=\"" + escapeHtml(nonce) + "\"" : "";
+}
+
+function renderEntry(entry, renderedCss) {
+	var attrs = entry.options.attrs || {};
+	var nonce = renderNonce(entry.options);
+	if(entry.url) {
+		return "<link rel=\"stylesheet\" type=\"text/css\" href=\"" + escapeHtml(entry.url) + "\"" + renderAttrs(attrs) + nonce + ">";
+	}
+	var partIndexes = {};
+	var transform = entry.options.transform;
+	return entry.list.map(function(item) {
+		var id = item[0], css = item[1], media = item[2];
+		var index = partIndexes[id] = id in partIndexes ? partIndexes[id] + 1 : 0;
+		// Like in the browser, the parts the transform returns false for are skipped
+		if(transform) {
+			css = transform(css, { media: media, sourceMap: item[3] });
+			if(css === false) return "";
+		}
+		if(entry.options.dedupe) {
+			var key = (media || "") + "\n" + css;
+			if(renderedCss[key]) return "";
+			renderedCss[key] = true;
+		}
+		return "<style type=\"text/css\"" +
+			(media ? " media=\"" + escapeHtml(media) + "\"" : "") +
+			" data-style-loader-id=\"" + escapeHtml(id + "-" + index) + "\"" +
+			(entry.options.source ? " data-style-loader-source=\"" + escapeHtml(entry.options.source) + "\"" : "") +
+			renderAttrs(attrs) + nonce + ">" +
+			// a closing tag inside the css would end the element early
+			css.replace(/<\/(style)/gi, "<\\/$1") +
+			"</style>";
+	}).join("");
+}
+
+function addGlobalEntry(entry) {
+	globalStyles.push(entry);
+	return function update(newEntry) {
+		var idx = globalStyles.indexOf(entry);
+		if(newEntry) {
+			globalStyles[idx] = entry = newEntry;
+		} else {
+			globalStyles.splice(idx, 1);
+		}
+	};
+}
+
+exports.createCollector = function() {
+	return new Collector();
+};
+
+// Runs a synchronous render and records the styles it uses in the collector
+exports.collect = function(collector, fn) {
+	var previousCollector = activeCollector;
+	activeCollector = collector;
+	try {
+		return fn();
+	} finally {
+		activeCollector = previousCollector;
+	}
+};
+
+exports.current = function() {
+	return activeCollector;
+};
+
+exports.addStyles = function(list, options) {
+	var update = addGlobalEntry({ list: list, options: options, refs: 1 });
+	return function(newList) {
+		update(newList && { list: newList, options: options, refs: 1 });
+	};
+};
+
+exports.addStyleUrl = function(cssUrl, options) {
+	var update = addGlobalEntry({ url: cssUrl, options: options, refs: 1 });
+	function updateUrl(cssUrl) {
+		update(typeof cssUrl === "string" && { url: cssUrl, options: options, refs: 1 });
+	}
+	// Nothing is loaded on the server
+	updateUrl.ready = function() {
+		return Promise.resolve();
+	};
+	return updateUrl;
+};
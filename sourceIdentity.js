@@ -0,0 +1,17 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+var loaderUtils = require("loader-utils"),
+	path = require("path");
+
+// The source of the css module shown on its elements: the path relative to the context,
+// a hash of it, or nothing. Minimized builds default to the hash.
+module.exports = function sourceIdentity(loader, query) {
+	var mode = query.sourceIdentity === undefined ? (loader.minimize ? "hash" : "path") : query.sourceIdentity;
+	if(!mode) return null;
+	var context = loader.options && loader.options.context || process.cwd();
+	var relativePath = path.relative(context, loader.resourcePath).split(path.sep).join("/");
+	if(!/^\.\.?\//.test(relativePath)) relativePath = "./" + relativePath;
+	return mode === "hash" ? loaderUtils.getHashDigest(relativePath, "md5", "hex", 8) : relativePath;
+};
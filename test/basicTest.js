@@ -5,14 +5,20 @@ describe("basic tests", function() {
   var path = require("path");
 
   var utils = require("./utils"),
-    runCompilerTest = utils.runCompilerTest;
+    runCompilerTest = utils.runCompilerTest,
+    runServerCompilerTest = utils.runServerCompilerTest;
 
   var fs;
 
+  var hash = function(source) {
+    return require("loader-utils").getHashDigest(source, "md5", "hex", 8);
+  };
+
   var requiredCss = ".required { color: blue }",
     requiredCssTwo = ".requiredTwo { color: cyan }",
     localScopedCss = ":local(.className) { background: red; }",
-    requiredStyle = `<style type="text/css">${requiredCss}</style>`,
+    requiredStyle = `<style type="text/css" data-style-loader-id="[id]-0" data-style-loader-source="./style.css">${requiredCss}</style>`,
+    requiredStyleTwo = `<style type="text/css" data-style-loader-id="[id]-0" data-style-loader-source="./styleTwo.css">${requiredCssTwo}</style>`,
     existingStyle = "<style>.existing { color: yellow }</style>",
     checkValue = '<div class="check">check</div>',
     rootDir = path.resolve(__dirname + "/../") + "/",
@@ -87,6 +93,118 @@ describe("basic tests", function() {
     runCompilerTest(expected, done);
   }); // it insert at top
 
+  it("insert before an element", function(done) {
+    styleLoaderOptions.insertAt = { before: "style" };
+
+    let expected = [requiredStyle, existingStyle].join("");
+
+    runCompilerTest(expected, done);
+  }); // it insert before an element
+
+  it("insert after an element", function(done) {
+    styleLoaderOptions.insertAt = { after: "style" };
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var a = require('./style.css');",
+        "var b = require('./styleTwo.css');"
+      ].join("\n")
+    );
+
+    let expected = [existingStyle, requiredStyle, requiredStyleTwo].join("");
+
+    runCompilerTest(expected, done);
+  }); // it insert after an element
+
+  it("priority", function(done) {
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var a = require('!!style-loader?{\"priority\":1}!css-loader!./style.css');",
+        "var b = require('./styleTwo.css');"
+      ].join("\n")
+    );
+
+    let expected = [existingStyle, requiredStyleTwo + requiredStyle].join("\n");
+
+    runCompilerTest(expected, done);
+  }); // it priority
+
+  it("priority query parameter", function(done) {
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var a = require('!!style-loader?priority=1!css-loader!./style.css');",
+        "var b = require('!!style-loader?priority=-1!css-loader!./styleTwo.css');",
+        "var c = require('./styleThree.css');"
+      ].join("\n")
+    );
+    fs.writeFileSync(rootDir + "styleThree.css", ".three { color: green }");
+
+    let expected = [
+      existingStyle,
+      requiredStyleTwo +
+      `<style type="text/css" data-style-loader-id="[id]-0" data-style-loader-source="./styleThree.css">.three { color: green }</style>` +
+      requiredStyle
+    ].join("\n");
+
+    runCompilerTest(expected, done);
+  }); // it priority query parameter
+
+  it("batch", function(done) {
+    styleLoaderOptions.batch = true;
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var a = require('./style.css');",
+        "var b = require('./styleTwo.css');",
+        "styleCountBeforeFlush = document.querySelectorAll('style').length;"
+      ].join("\n")
+    );
+
+    let expected = ["1", existingStyle, requiredStyle + requiredStyleTwo].join("\n");
+
+    runCompilerTest(expected, done, function() {
+      const window = this;
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 50);
+      }).then(function() {
+        let html = window.document.head.innerHTML.trim()
+          .replace(/data-style-loader-id="\d+-/g, 'data-style-loader-id="[id]-');
+        return window.styleCountBeforeFlush + "\n" + html;
+      });
+    });
+  }); // it batch
+
+  it("batch flush", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader/useable",
+        options: { batch: "microtask" }
+      },
+      "css-loader"
+    ];
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var css = require('./style.css');",
+        "function count() { return document.querySelectorAll('style').length; }",
+        "css.use();",
+        "counts = [count()];",
+        "css.flush();",
+        "counts.push(count());",
+        "css.unuse();",
+        "counts.push(count());",
+        "css.flush();",
+        "counts.push(count());"
+      ].join("\n")
+    );
+
+    runCompilerTest("1 2 2 1", done, function() {
+      return this.counts.join(" ");
+    });
+  }); // it batch flush
+
   it("insert into", function(done) {
     let selector = "div.target";
     styleLoaderOptions.insertInto = selector;
@@ -99,6 +217,7 @@ describe("basic tests", function() {
   it("singleton", function(done) {
     // Setup
     styleLoaderOptions.singleton = true;
+    styleLoaderOptions.sourceIdentity = false;
 
     fs.writeFileSync(
       rootDir + "main.js",
@@ -117,167 +236,1175 @@ describe("basic tests", function() {
     runCompilerTest(expected, done);
   }); // it singleton
 
-  it("attrs", function(done) {
-    // Setup
-    styleLoaderOptions.attrs = {id: 'style-tag-id'};
+  it("singleton groups", function(done) {
+    styleLoaderOptions.singleton = true;
+    styleLoaderOptions.sourceIdentity = false;
 
     fs.writeFileSync(
       rootDir + "main.js",
       [
-        "var a = require('./style.css');"
+        "var a = require('./style.css');",
+        "var b = require('!!style-loader?{\"singleton\":\"other\",\"sourceIdentity\":false,\"attrs\":{\"id\":\"other\"}}!css-loader!./styleTwo.css');",
+        "var c = require('!!style-loader?{\"singleton\":\"other\",\"sourceIdentity\":false,\"attrs\":{\"id\":\"ignored\"}}!css-loader!./styleThree.css');"
       ].join("\n")
     );
+    fs.writeFileSync(rootDir + "styleThree.css", ".three { color: green }");
 
-    // Run
     let expected = [
       existingStyle,
-      `<style id="${styleLoaderOptions.attrs.id}" type="text/css">${requiredCss}</style>`
+      `<style type="text/css">${requiredCss}</style>`,
+      `<style id="other" type="text/css">${requiredCssTwo}.three { color: green }</style>`
     ].join("\n");
 
-    runCompilerTest(expected, done);
-  }); // it attrs
+    runCompilerTest(expected, done, function() {
+      return this.document.head.innerHTML.trim().replace(/></g, ">\n<");
+    });
+  }); // it singleton groups
 
-  it("url", function(done) {
-    cssRule.use = [
-      {
-        loader: "style-loader/url",
-        options: {}
-      },
-      "file-loader"
-    ];
+  it("singleton with media", function(done) {
+    styleLoaderOptions.singleton = true;
+    styleLoaderOptions.sourceIdentity = false;
+
+    fs.writeFileSync(rootDir + "media.css", '@import "./styleTwo.css" print;');
+    fs.writeFileSync(rootDir + "main.js", "var a = require('./media.css');");
 
-    // Run
     let expected = [
       existingStyle,
-      '<link rel="stylesheet" type="text/css" href="ec9d4f4f24028c3d51bf1e7728e632ff.css">'
+      `<style type="text/css">@media print {\n${requiredCssTwo}\n}</style>`
     ].join("\n");
 
     runCompilerTest(expected, done);
-  }); // it url
+  }); // it singleton with media
 
-  it("url with attrs", function (done) {
-    cssRule.use = [
-      {
-        loader: "style-loader/url",
-        options: {
-          attrs: {
-            'data-attr-1': 'attr-value-1',
-            'data-attr-2': 'attr-value-2'
-          }
-        }
-      },
-      "file-loader"
-    ];
+  it("singleton source comments", function(done) {
+    styleLoaderOptions.singleton = true;
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var a = require('./style.css');",
+        "var b = require('!!style-loader?{\"singleton\":true,\"sourceIdentity\":\"hash\"}!css-loader!./styleTwo.css');"
+      ].join("\n")
+    );
 
-    // Run
     let expected = [
       existingStyle,
-      '<link rel="stylesheet" type="text/css" href="ec9d4f4f24028c3d51bf1e7728e632ff.css" data-attr-1="attr-value-1" data-attr-2="attr-value-2">'
+      `<style type="text/css">\n/* [id]-0 ./style.css */\n${requiredCss}\n/* [id]-0 ${hash("./styleTwo.css")} */\n${requiredCssTwo}</style>`
+    ].join("\n");
+
+    runCompilerTest(expected, done, function() {
+      return this.document.head.innerHTML.trim().replace(/\/\* \d+-/g, "/* [id]-");
+    });
+  }); // it singleton source comments
+
+  it("source identity", function(done) {
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var a = require('!!style-loader?{\"sourceIdentity\":\"hash\"}!css-loader!./style.css');",
+        "var b = require('!!style-loader?{\"sourceIdentity\":false}!css-loader!./styleTwo.css');"
+      ].join("\n")
+    );
+
+    let expected = [
+      existingStyle,
+      `<style type="text/css" data-style-loader-id="[id]-0" data-style-loader-source="${hash("./style.css")}">${requiredCss}</style>` +
+      `<style type="text/css" data-style-loader-id="[id]-0">${requiredCssTwo}</style>`
     ].join("\n");
 
     runCompilerTest(expected, done);
-  }); // it url with attrs
+  }); // it source identity
 
-  it("useable", function(done) {
+  it("singleton source map in debug builds", function(done) {
     cssRule.use = [
       {
-        loader: "style-loader/useable"
+        loader: "style-loader",
+        options: { singleton: true }
       },
-      "css-loader"
+      "css-loader?sourceMap"
     ];
 
     fs.writeFileSync(
       rootDir + "main.js",
       [
-        "var css = require('./style.css');",
-        "var cssTwo = require('./styleTwo.css');",
-        "css.use();",
-        "cssTwo.use();",
-        "css.unuse();"
+        "DEBUG = true;",
+        "var a = require('./style.css');",
+        "var b = require('./styleTwo.css');"
+      ].join("\n")
+    );
+
+    // the css of every part starts after the comment with its source
+    runCompilerTest("2:0 4:0 style.css styleTwo.css", done, function() {
+      const css = this.document.head.querySelector("style[type]").textContent;
+      const sourceMap = JSON.parse(this.atob(css.match(/base64,(.*) \*\/$/)[1]));
+      return sourceMap.sections.map(function(section) {
+        return section.offset.line + ":" + section.offset.column;
+      }).concat(sourceMap.sections.map(function(section) {
+        return path.basename(section.map.sources[0]);
+      })).join(" ");
+    });
+  }); // it singleton source map in debug builds
+
+  it("singleton updates only the changed parts", function(done) {
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var addStyles = require('./addStyles.js');",
+        "var update = addStyles([[1, '.a {}', ''], [1, '.b {}', ''], [1, '.c {}', '']], { singleton: true });",
+        "var style = document.head.lastChild;",
+        "var nodes = [].slice.call(style.childNodes);",
+        "update([[1, '.a {}', ''], [1, '', ''], [1, '.c { color: red }', '']]);",
+        "window.log = [style.childNodes[0] === nodes[0] && style.childNodes[1] === nodes[2], style.textContent];",
+        "update([[1, '.a {}', ''], [1, '.b {}', ''], [1, '.c { color: red }', '']]);",
+        "log.push(style.textContent);"
+      ].join("\n")
+    );
+
+    runCompilerTest("true\n.a {}.c { color: red }\n.a {}.b {}.c { color: red }", done, function() {
+      return this.log.join("\n");
+    });
+  }); // it singleton updates only the changed parts
+
+  it("singleton updates keep the order of the parts", function(done) {
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var addStyles = require('./addStyles.js');",
+        "var a = addStyles([[1, '.a{}', '']], { singleton: true });",
+        "var b = addStyles([[2, '.x{}', '']], { singleton: true });",
+        "var style = document.head.lastChild;",
+        "a([[1, '.import{}', ''], [1, '.a{}', '']]);",
+        "window.log = [style.textContent];",
+        "b([[2, '.p{}', ''], [2, '.q{}', '']]);",
+        "b([[2, '.p{}', ''], [2, '.p2{}', ''], [2, '.q{}', '']]);",
+        "log.push(style.textContent);",
+        "var c = addStyles([[3, '.c{}', ''], [4, '.d{}', '']], { singleton: true });",
+        "c([[4, '.d{}', ''], [3, '.c{}', '']]);",
+        "log.push(style.textContent);"
+      ].join("\n")
+    );
+
+    let expected = [
+      ".import{}.a{}.x{}",
+      ".import{}.a{}.p{}.p2{}.q{}",
+      ".import{}.a{}.p{}.p2{}.q{}.d{}.c{}"
+    ].join("\n");
+
+    runCompilerTest(expected, done, function() {
+      return this.log.join("\n");
+    });
+  }); // it singleton updates keep the order of the parts
+
+  it("singleton with style sheet rules", function(done) {
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "// Browsers with a styleSheet property on the tag, like IE 9 and 10",
+        "var createElement = document.createElement;",
+        "var ops = [];",
+        "document.createElement = function(tagName) {",
+        "  var element = createElement.apply(this, arguments);",
+        "  var rules = [];",
+        "  element.styleSheet = { cssText: '' };",
+        "  Object.defineProperty(element, 'sheet', { value: {",
+        "    cssRules: rules,",
+        "    insertRule: function(rule, index) { ops.push('insert ' + index); rules.splice(index, 0, rule); },",
+        "    deleteRule: function(index) { ops.push('delete ' + index); rules.splice(index, 1); }",
+        "  } });",
+        "  return element;",
+        "};",
+        "var addStyles = require('./addStyles.js');",
+        "var update = addStyles([[1, '/* a */ .a {}', ''], [1, '.b { content: \"}\" } .b2 {}', ''], [1, '.c {}', 'print']], { singleton: true });",
+        "var sheet = document.head.lastChild.sheet;",
+        "window.log = [sheet.cssRules.join(' | ')];",
+        "ops.length = 0;",
+        "update([[1, '/* a */ .a {}', ''], [1, '.b {}', ''], [1, '.c {}', 'print']]);",
+        "log.push(ops.splice(0).join(', '), sheet.cssRules.join(' | '));",
+        "update([[1, '/* a */ .a {}', ''], [1, '.b {}', '']]);",
+        "log.push(ops.splice(0).join(', '), sheet.cssRules.join(' | '));"
+      ].join("\n")
+    );
+
+    let expected = [
+      '.a {} | .b { content: "}" } | .b2 {} | @media print {\n.c {}\n}',
+      "delete 1, delete 1, insert 1",
+      ".a {} | .b {} | @media print {\n.c {}\n}",
+      "delete 2",
+      ".a {} | .b {}"
+    ].join("\n");
+
+    runCompilerTest(expected, done, function() {
+      return this.log.join("\n");
+    });
+  }); // it singleton with style sheet rules
+
+  it("singleton splits tags in old IE at the selector limit", function(done) {
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "Object.defineProperty(document, 'all', { value: [] });",
+        "window.atob = undefined;",
+        "var addStyles = require('./addStyles.js');",
+        "function css(name, count) { return new Array(count).join('.' + name + ', ') + '.' + name + ' {}'; }",
+        "function tags() {",
+        "  return [].slice.call(document.querySelectorAll('style[type]')).map(function(tag) {",
+        "    return tag.textContent.match(/\\.\\w/g).length;",
+        "  }).join(' ');",
+        "}",
+        "var a = addStyles([[1, css('a', 3000), '']], { singleton: true });",
+        "var b = addStyles([[2, css('b', 2000), '']], { singleton: true });",
+        "var c = addStyles([[3, '@media print { ' + css('c', 10) + ' }', '']], { singleton: true });",
+        "window.log = [tags()];",
+        "b();",
+        "c();",
+        "log.push(tags());"
+      ].join("\n")
+    );
+
+    runCompilerTest("3000 2010\n3000", done, function() {
+      return this.log.join("\n");
+    });
+  }); // it singleton splits tags in old IE at the selector limit
+
+  it("singleton warns when no more tags can be added", function(done) {
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "for (var i = 1; i < 31; i++) document.head.appendChild(document.createElement('style'));",
+        "window.warnings = [];",
+        "console.warn = function(message) { warnings.push(message); };",
+        "Object.defineProperty(document, 'all', { value: [] });",
+        "window.atob = undefined;",
+        "var addStyles = require('./addStyles.js');",
+        "function css(name, count) { return new Array(count).join('.' + name + ', ') + '.' + name + ' {}'; }",
+        "addStyles([[1, css('a', 3000), '']], { singleton: true });",
+        "addStyles([[2, css('b', 2000), '']], { singleton: true });",
+        "addStyles([[3, css('c', 10), '']], { singleton: true });"
+      ].join("\n")
+    );
+
+    runCompilerTest("1\n1", done, function() {
+      return [this.document.querySelectorAll("style[type]").length, this.warnings.length].join("\n");
+    });
+  }); // it singleton warns when no more tags can be added
+
+  it("singleton doesn't split tags outside of old IE", function(done) {
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "window.warnings = [];",
+        "console.warn = function(message) { warnings.push(message); };",
+        "var addStyles = require('./addStyles.js');",
+        "function css(name, count) { return new Array(count).join('.' + name + ', ') + '.' + name + ' {}'; }",
+        "addStyles([[1, css('a', 3000), '']], { singleton: true });",
+        "addStyles([[2, css('b', 2000), '']], { singleton: true });"
+      ].join("\n")
+    );
+
+    runCompilerTest("1 5000\n0", done, function() {
+      var tags = this.document.querySelectorAll("style[type]");
+      return [tags.length + " " + tags[0].textContent.match(/\.\w/g).length, this.warnings.length].join("\n");
+    });
+  }); // it singleton doesn't split tags outside of old IE
+
+  it("inspector in debug builds", function(done) {
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "DEBUG = true;",
+        "window.events = [];",
+        "var a = require('./style.css');",
+        "['insert', 'update', 'remove'].forEach(function(event) {",
+        "  window.__STYLE_LOADER__.on(event, function(part) {",
+        "    window.events.push(event + ' ' + part.css + ' ' + part.element.tagName);",
+        "  });",
+        "});",
+        "var update = require('./addStyles.js')([[1, '.a {}', 'print']]);",
+        "update([[1, '.b {}', 'print']]);",
+        "window.inspected = window.__STYLE_LOADER__.styles().map(function(style) {",
+        "  return [style.refs, style.target, style.parts.map(function(part) {",
+        "    return part.css + ' ' + part.media + ' ' + part.element.tagName;",
+        "  })].join(' ');",
+        "});",
+        "update();"
+      ].join("\n")
+    );
+
+    let expected = [
+      // sorted by module id
+      "1 head .b {} print STYLE",
+      `1 head ${requiredCss}  STYLE`,
+      "insert .a {} STYLE",
+      "update .b {} STYLE",
+      "remove .b {} STYLE"
+    ].join("\n");
+
+    runCompilerTest(expected, done, function() {
+      return this.inspected.concat(this.events).join("\n");
+    });
+  }); // it inspector in debug builds
+
+  it("no inspector without debug builds", function(done) {
+    runCompilerTest("undefined", done, function() {
+      return typeof this.__STYLE_LOADER__;
+    });
+  }); // it no inspector without debug builds
+
+  it("attrs", function(done) {
+    // Setup
+    styleLoaderOptions.attrs = {id: 'style-tag-id'};
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var a = require('./style.css');"
       ].join("\n")
     );
 
     // Run
     let expected = [
       existingStyle,
-      `<style type="text/css">${requiredCssTwo}</style>`
+      `<style id="${styleLoaderOptions.attrs.id}" type="text/css" data-style-loader-id="[id]-0" data-style-loader-source="./style.css">${requiredCss}</style>`
     ].join("\n");
 
     runCompilerTest(expected, done);
-  }); // it useable
+  }); // it attrs
 
-  it("useable without negative refs", function(done) {
-    cssRule.use = [
-      {
-        loader: "style-loader/useable"
-      },
-      "css-loader"
-    ];
+  it("adopted style sheets", function(done) {
+    styleLoaderOptions.adoptedStyleSheets = true;
 
     fs.writeFileSync(
       rootDir + "main.js",
       [
-        "var css = require('./style.css');",
-        "css.unuse();", // ref still 0
-        "css.use();",  // ref 1
+        "window.CSSStyleSheet = function() { this.media = { mediaText: '' }; };",
+        "CSSStyleSheet.prototype.replaceSync = function(css) { this.cssText = css; };",
+        "document.adoptedStyleSheets = [];",
+        "var a = require('./style.css');",
+        "var b = require('./styleTwo.css');"
       ].join("\n")
     );
 
-    // Run
     let expected = [
       existingStyle,
-      `<style type="text/css">${requiredCss}</style>`
+      requiredCss,
+      requiredCssTwo
     ].join("\n");
 
-    runCompilerTest(expected, done);
-  }); // it useable
+    runCompilerTest(expected, done, function() {
+      return [this.document.head.innerHTML.trim()].concat(
+        this.document.adoptedStyleSheets.map(function(styleSheet) { return styleSheet.cssText; })
+      ).join("\n");
+    });
+  }); // it adopted style sheets
 
-  it("local scope", function(done) {
-    cssRule.use = [
-      {
-        loader: "style-loader"
-      },
-      {
-        loader: "css-loader",
-        options: { 
-          localIdentName: '[name].[local]_[hash:base64:7]'
-        }
-      }
-    ];
+  it("adopted style sheets fall back to tags", function(done) {
+    styleLoaderOptions.adoptedStyleSheets = true;
+
+    let expected = [existingStyle, requiredStyle].join("\n");
+
+    runCompilerTest(expected, done);
+  }); // it adopted style sheets fall back to tags
 
+  it("source map links are swapped when the update is loaded", function(done) {
     fs.writeFileSync(
       rootDir + "main.js",
       [
-        "css = require('./localScoped.css');"
+        "var urls = 0, revoked = [];",
+        "window.Blob = function(parts) { this.css = parts.join(''); };",
+        "window.URL = function() {};",
+        "URL.createObjectURL = function() { return 'blob:' + ++urls; };",
+        "URL.revokeObjectURL = function(url) { revoked.push(url); };",
+        "window.btoa = function(text) { return text; };",
+        "var hrefs = function() {",
+        "  return [].map.call(document.head.querySelectorAll('link'), function(link) { return link.getAttribute('href'); }).join(',');",
+        "};",
+        "var addStyles = require('./addStyles.js');",
+        "var sourceMap = { version: 3, sources: ['style.css'], mappings: '' };",
+        "var update = addStyles([[1, '.a {}', '', sourceMap]]);",
+        "window.log = [hrefs()];",
+        "update([[1, '.a { color: red }', '', sourceMap]]);",
+        "log.push(hrefs() + ' ' + revoked.join(','));",
+        "var load = document.createEvent('Event');",
+        "load.initEvent('load', false, false);",
+        "document.head.lastChild.dispatchEvent(load);",
+        "log.push(hrefs() + ' ' + revoked.join(','));"
       ].join("\n")
     );
 
-    let expected = 'localScoped-className_3dIU6Uf';
-    runCompilerTest(expected, done, function() { return this.css.className; });
-  }); // it local scope
+    let expected = [
+      "blob:1",
+      "blob:1,blob:2 ",
+      "blob:2 blob:1"
+    ].join("\n");
 
-  it("local scope, useable", function(done) {
-    cssRule.use = [
-      {
-        loader: "style-loader/useable"
-      },
-      {
-        loader: "css-loader",
-        options: { 
-          localIdentName: '[name].[local]_[hash:base64:7]'
-        }
-      }
-    ];
+    runCompilerTest(expected, done, function() {
+      return this.log.join("\n");
+    });
+  }); // it source map links are swapped when the update is loaded
 
+  it("nonce", function(done) {
     fs.writeFileSync(
       rootDir + "main.js",
       [
-        "css = require('./localScoped.css');"
+        "__webpack_nonce__ = 'page-nonce';",
+        "var a = require('./style.css');"
       ].join("\n")
     );
 
-    let expected = 'localScoped-className_3dIU6Uf';
+    let expected = [
+      existingStyle,
+      `<style type="text/css" nonce="page-nonce" data-style-loader-id="[id]-0" data-style-loader-source="./style.css">${requiredCss}</style>`
+    ].join("\n");
+
+    runCompilerTest(expected, done);
+  }); // it nonce
+
+  it("nonce getter", function(done) {
+    styleLoaderOptions.nonce = rootDir + "nonce.js";
+
+    fs.writeFileSync(
+      rootDir + "nonce.js",
+      "module.exports = function() { return 'getter-nonce'; };"
+    );
+
+    let expected = [
+      existingStyle,
+      `<style type="text/css" nonce="getter-nonce" data-style-loader-id="[id]-0" data-style-loader-source="./style.css">${requiredCss}</style>`
+    ].join("\n");
+
+    runCompilerTest(expected, done);
+  }); // it nonce getter
+
+  it("transform", function(done) {
+    styleLoaderOptions.transform = rootDir + "transform.js";
+
+    fs.writeFileSync(
+      rootDir + "transform.js",
+      [
+        "module.exports = function(css) {",
+        "  return css.indexOf('cyan') >= 0 ? false : css.replace('blue', 'red');",
+        "};"
+      ].join("\n")
+    );
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var a = require('./style.css');",
+        "var b = require('./styleTwo.css');"
+      ].join("\n")
+    );
+
+    let expected = [
+      existingStyle,
+      `<style type="text/css" data-style-loader-id="[id]-0" data-style-loader-source="./style.css">.required { color: red }</style>`
+    ].join("\n");
+
+    runCompilerTest(expected, done);
+  }); // it transform
+
+  it("url", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader/url",
+        options: {}
+      },
+      "file-loader"
+    ];
+
+    // Run
+    let expected = [
+      existingStyle,
+      '<link rel="stylesheet" type="text/css" href="ec9d4f4f24028c3d51bf1e7728e632ff.css">'
+    ].join("\n");
+
+    runCompilerTest(expected, done);
+  }); // it url
+
+  it("url with attrs", function (done) {
+    cssRule.use = [
+      {
+        loader: "style-loader/url",
+        options: {
+          attrs: {
+            'data-attr-1': 'attr-value-1',
+            'data-attr-2': 'attr-value-2'
+          }
+        }
+      },
+      "file-loader"
+    ];
+
+    // Run
+    let expected = [
+      existingStyle,
+      '<link rel="stylesheet" type="text/css" href="ec9d4f4f24028c3d51bf1e7728e632ff.css" data-attr-1="attr-value-1" data-attr-2="attr-value-2">'
+    ].join("\n");
+
+    runCompilerTest(expected, done);
+  }); // it url with attrs
+
+  it("url ready", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader/url",
+        options: {}
+      },
+      "file-loader"
+    ];
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var css = require('./style.css');",
+        "var event = document.createEvent('Event');",
+        "event.initEvent('load', false, false);",
+        "loaded = css.ready().then(function() { return 'loaded'; });",
+        "document.querySelector('link').dispatchEvent(event);"
+      ].join("\n")
+    );
+
+    runCompilerTest("loaded", done, function() { return this.loaded; });
+  }); // it url ready
+
+  it("url ready with timeout", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader/url",
+        options: {}
+      },
+      "file-loader"
+    ];
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var css = require('./style.css');",
+        "loaded = css.ready(0).catch(function(err) { return err.message; });"
+      ].join("\n")
+    );
+
+    runCompilerTest("The stylesheet didn't load within 0ms", done, function() { return this.loaded; });
+  }); // it url ready with timeout
+
+  it("url update keeps the old stylesheet until the new one is loaded", function(done) {
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "window.errors = [];",
+        "console.error = function(message) { errors.push(message); };",
+        "var update = require('./addStyleUrl')('old.css');",
+        "update('failing.css');",
+        "var failed = document.createEvent('Event');",
+        "failed.initEvent('error', false, false);",
+        "document.querySelector('link[href=\"failing.css\"]').dispatchEvent(failed);",
+        "update('new.css');",
+        "links = document.querySelectorAll('link').length;",
+        "var loaded = document.createEvent('Event');",
+        "loaded.initEvent('load', false, false);",
+        "document.querySelector('link[href=\"new.css\"]').dispatchEvent(loaded);"
+      ].join("\n")
+    );
+
+    let expected = [
+      existingStyle,
+      '<link rel="stylesheet" type="text/css" href="new.css">'
+    ].join("\n");
+
+    runCompilerTest(expected + " 2\nstyle-loader: The stylesheet failing.css failed to load, keeping the previous stylesheet.", done, function() {
+      return this.document.head.innerHTML.trim() + " " + this.links + "\n" + this.errors.join("\n");
+    });
+  }); // it url update keeps the old stylesheet until the new one is loaded
+
+  it("update keeps the order of the parts", function(done) {
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var addStyles = require('./addStyles.js');",
+        "var update = addStyles([[1, '.a {}', ''], [2, '.x {}', '']]);",
+        "update([[1, '.a {}', ''], [1, '.b {}', ''], [2, '.x {}', '']]);"
+      ].join("\n")
+    );
+
+    runCompilerTest(".existing { color: yellow } .a {} .b {} .x {}", done, function() {
+      return Array.prototype.map.call(this.document.querySelectorAll("style"), function(element) {
+        return element.textContent;
+      }).join(" ");
+    });
+  }); // it update keeps the order of the parts
+
+  it("update reorders and removes modules", function(done) {
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var addStyles = require('./addStyles.js');",
+        "var update = addStyles([[1, '.a {}', ''], [2, '.x {}', ''], [3, '.y {}', '']]);",
+        "update([[3, '.y {}', ''], [1, '.a {}', ''], [1, '.b {}', '']]);",
+        "update([[3, '.y {}', ''], [1, '.b {}', '']]);"
+      ].join("\n")
+    );
+
+    runCompilerTest(".existing { color: yellow } .y {} .b {}", done, function() {
+      return Array.prototype.map.call(this.document.querySelectorAll("style"), function(element) {
+        return element.textContent;
+      }).join(" ");
+    });
+  }); // it update reorders and removes modules
+
+  it("useable", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader/useable"
+      },
+      "css-loader"
+    ];
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var css = require('./style.css');",
+        "var cssTwo = require('./styleTwo.css');",
+        "css.use();",
+        "cssTwo.use();",
+        "css.unuse();"
+      ].join("\n")
+    );
+
+    // Run
+    let expected = [
+      existingStyle,
+      requiredStyleTwo
+    ].join("\n");
+
+    runCompilerTest(expected, done);
+  }); // it useable
+
+  it("useable without negative refs", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader/useable"
+      },
+      "css-loader"
+    ];
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var css = require('./style.css');",
+        "css.unuse();", // ref still 0
+        "css.use();",  // ref 1
+      ].join("\n")
+    );
+
+    // Run
+    let expected = [
+      existingStyle,
+      requiredStyle
+    ].join("\n");
+
+    runCompilerTest(expected, done);
+  }); // it useable
+
+  it("useable with targets", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader/useable"
+      },
+      "css-loader"
+    ];
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var css = require('./style.css');",
+        "var target = document.querySelector('.target');",
+        "css.use(target);",
+        "css.use(target);",
+        "css.use();",
+        "css.unuse(target);",
+        "css.unuse();"
+      ].join("\n")
+    );
+
+    let expected = [existingStyle, checkValue, requiredStyle].join("\n");
+
+    runCompilerTest(expected, done, function() {
+      return [this.document.head, this.document.querySelector("div.target")].map(function(element) {
+        return element.innerHTML.trim().replace(/data-style-loader-id="\d+-/g, 'data-style-loader-id="[id]-');
+      }).join("\n");
+    });
+  }); // it useable with targets
+
+  it("useable in other documents", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader/useable"
+      },
+      "css-loader"
+    ];
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var css = require('./style.css');",
+        "var iframe = document.createElement('iframe');",
+        "document.body.appendChild(iframe);",
+        "var frameDocument = iframe.contentDocument;",
+        "css.use({ document: frameDocument });",
+        "css.use({ document: frameDocument });",
+        "css.unuse({ document: frameDocument });",
+        "heads = [frameDocument.head.innerHTML];",
+        "var event = frameDocument.createEvent('Event');",
+        "event.initEvent('unload', false, false);",
+        "iframe.contentWindow.dispatchEvent(event);",
+        "heads.push(frameDocument.head.innerHTML);",
+        "css.use({ document: frameDocument });",
+        "heads.push(frameDocument.head.querySelectorAll('style').length, document.head.querySelectorAll('style').length);"
+      ].join("\n")
+    );
+
+    let expected = [requiredStyle, "", 1, 1].join("\n");
+
+    runCompilerTest(expected, done, function() {
+      return this.heads.join("\n").replace(/data-style-loader-id="\d+-/g, 'data-style-loader-id="[id]-');
+    });
+  }); // it useable in other documents
+
+  it("useable singleton in other documents", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader/useable",
+        options: { singleton: true, sourceIdentity: false }
+      },
+      "css-loader"
+    ];
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var css = require('./style.css');",
+        "var iframe = document.createElement('iframe');",
+        "document.body.appendChild(iframe);",
+        "var frameDocument = iframe.contentDocument;",
+        "css.use({ document: frameDocument });",
+        "heads = [frameDocument.head.innerHTML];",
+        "var event = frameDocument.createEvent('Event');",
+        "event.initEvent('unload', false, false);",
+        "iframe.contentWindow.dispatchEvent(event);",
+        "heads.push(frameDocument.head.innerHTML);",
+        "// The tag of the unloaded document isn't reused",
+        "css.use({ document: frameDocument });",
+        "heads.push(frameDocument.head.innerHTML);"
+      ].join("\n")
+    );
+
+    let singletonStyle = `<style type="text/css">${requiredCss}</style>`;
+    let expected = [singletonStyle, "", singletonStyle].join("\n");
+
+    runCompilerTest(expected, done, function() {
+      return this.heads.join("\n");
+    });
+  }); // it useable singleton in other documents
+
+  it("useable with priority", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader/useable"
+      },
+      "css-loader"
+    ];
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var css = require('!!style-loader/useable?{\"priority\":1}!css-loader!./style.css');",
+        "var cssTwo = require('./styleTwo.css');",
+        "cssTwo.use();",
+        "css.use();",
+        "cssTwo.unuse();",
+        "cssTwo.use();"
+      ].join("\n")
+    );
+
+    let expected = [existingStyle, requiredStyleTwo + requiredStyle].join("\n");
+
+    runCompilerTest(expected, done);
+  }); // it useable with priority
+
+  it("local scope", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader"
+      },
+      {
+        loader: "css-loader",
+        options: { 
+          localIdentName: '[name].[local]_[hash:base64:7]'
+        }
+      }
+    ];
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "css = require('./localScoped.css');"
+      ].join("\n")
+    );
+
+    let expected = 'localScoped-className_3dIU6Uf';
+    runCompilerTest(expected, done, function() { return this.css.className; });
+  }); // it local scope
+
+  it("local scope, useable", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader/useable"
+      },
+      {
+        loader: "css-loader",
+        options: { 
+          localIdentName: '[name].[local]_[hash:base64:7]'
+        }
+      }
+    ];
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "css = require('./localScoped.css');"
+      ].join("\n")
+    );
+
+    let expected = 'localScoped-className_3dIU6Uf';
     runCompilerTest(expected, done, function() { return this.css.locals.className; });
   }); // it local scope
 
+  it("local scope, es module", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader",
+        options: { esModule: true }
+      },
+      {
+        loader: "css-loader",
+        options: {
+          localIdentName: '[name].[local]_[hash:base64:7]'
+        }
+      }
+    ];
+    fs.writeFileSync(rootDir + "localScoped.css", localScopedCss + " :local(.default) { color: red; } :local(.with-dash) { color: blue; }");
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "import css, { className } from './localScoped.css';",
+        "window.result = [className, css.className === className, Object.keys(css).join(','), document.querySelectorAll('style').length].join(' ');"
+      ].join("\n")
+    );
+
+    let expected = 'localScoped-className_3dIU6Uf true className,default,with-dash 2';
+    runCompilerTest(expected, done, function() { return this.result; });
+  }); // it local scope, es module
+
+  it("local scope with imports, es module", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader",
+        options: { esModule: true }
+      },
+      {
+        loader: "css-loader",
+        options: {
+          localIdentName: '[name].[local]'
+        }
+      }
+    ];
+    fs.writeFileSync(rootDir + "plain.css", ".plain { color: red }");
+    fs.writeFileSync(rootDir + "other.css", ":local(.base) { color: blue }");
+    // Assets are not run while building, the test only has no loader for images
+    fs.writeFileSync(rootDir + "img.png", "module.exports = 'img.png';");
+    fs.writeFileSync(
+      rootDir + "localScoped.css",
+      '@import "./plain.css";\n:local(.title) { background: url(./img.png) }\n:local(.sub) { composes: base from "./other.css"; }'
+    );
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "import css, { title, sub } from './localScoped.css';",
+        "window.result = [title, sub, Object.keys(css).join(','), /img\\.png/.test(document.head.innerHTML)].join(' ');"
+      ].join("\n")
+    );
+
+    let expected = "localScoped-title localScoped-sub other-base title,sub true";
+    runCompilerTest(expected, done, function() { return this.result; });
+  }); // it local scope with imports, es module
+
+  it("useable, es module", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader/useable",
+        options: { esModule: true }
+      },
+      "css-loader"
+    ];
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "import css, { use, unuse } from './style.css';",
+        "import cssTwo from './styleTwo.css';",
+        "use().use();",
+        "cssTwo.use();",
+        "unuse();",
+        "cssTwo.unref();"
+      ].join("\n")
+    );
+
+    let expected = [existingStyle, requiredStyle].join("\n");
+
+    runCompilerTest(expected, done);
+  }); // it useable, es module
+
+  it("url ready, es module", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader/url",
+        options: { esModule: true }
+      },
+      "file-loader"
+    ];
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "import { ready } from './style.css';",
+        "var event = document.createEvent('Event');",
+        "event.initEvent('load', false, false);",
+        "window.loaded = ready().then(function() { return 'loaded'; });",
+        "document.querySelector('link').dispatchEvent(event);"
+      ].join("\n")
+    );
+
+    runCompilerTest("loaded", done, function() { return this.loaded; });
+  }); // it url ready, es module
+
+  it("adopt server rendered tags", function(done) {
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var rendered = document.createElement('style');",
+        "rendered.setAttribute('data-style-loader-id', require.resolve('!!css-loader!./style.css') + '-0');",
+        "rendered.className = 'rendered';",
+        "rendered.appendChild(document.createTextNode('" + requiredCss + "'));",
+        "document.head.appendChild(rendered);",
+        "var css = require('./style.css');"
+      ].join("\n")
+    );
+
+    let expected = [
+      existingStyle,
+      `<style data-style-loader-id="[id]-0" class="rendered">${requiredCss}</style>`
+    ].join("\n");
+
+    runCompilerTest(expected, done);
+  }); // it adopt server rendered tags
+
+  it("server rendered tags are not adopted by other documents", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader/useable"
+      },
+      "css-loader"
+    ];
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var rendered = document.createElement('style');",
+        "rendered.setAttribute('data-style-loader-id', require.resolve('!!css-loader!./style.css') + '-0');",
+        "rendered.appendChild(document.createTextNode('" + requiredCss + "'));",
+        "document.head.appendChild(rendered);",
+        "var css = require('./style.css');",
+        "var iframe = document.createElement('iframe');",
+        "document.body.appendChild(iframe);",
+        "var frameDocument = iframe.contentDocument;",
+        "function count(doc) { return doc.head.querySelectorAll('style').length; }",
+        "css.use({ document: frameDocument });",
+        "counts = [count(frameDocument), count(document)];",
+        "css.use();",
+        "counts.push(count(document));",
+        "css.unuse({ document: frameDocument });",
+        "counts.push(count(frameDocument), count(document), rendered.parentNode === document.head);"
+      ].join("\n")
+    );
+
+    runCompilerTest("1 2 2 0 2 true", done, function() {
+      return this.counts.join(" ");
+    });
+  }); // it server rendered tags are not adopted by other documents
+
+  it("server rendered tags of parts skipped by the transform are removed", function(done) {
+    styleLoaderOptions.transform = rootDir + "transform.js";
+
+    fs.writeFileSync(rootDir + "transform.js", "module.exports = function() { return false; };");
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var rendered = document.createElement('style');",
+        "rendered.setAttribute('data-style-loader-id', require.resolve('!!css-loader!./style.css') + '-0');",
+        "rendered.appendChild(document.createTextNode('" + requiredCss + "'));",
+        "document.head.appendChild(rendered);",
+        "var css = require('./style.css');"
+      ].join("\n")
+    );
+
+    runCompilerTest(existingStyle, done);
+  }); // it server rendered tags of parts skipped by the transform are removed
+
+  it("server rendering", function(done) {
+    styleLoaderOptions.attrs = {id: 'style-tag-id'};
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var server = require('./server');",
+        "require('./style.css');",
+        "html = server.createCollector().injectInto('<html><head></head><body></body></html>');"
+      ].join("\n")
+    );
+
+    let expected = `<html><head><style type="text/css" data-style-loader-id="[id]-0" data-style-loader-source="./style.css" id="style-tag-id">${requiredCss}</style></head><body></body></html>`;
+    runServerCompilerTest(expected, done, function() { return this.html.replace(/data-style-loader-id="\d+/g, 'data-style-loader-id="[id]'); });
+  }); // it server rendering
+
+  it("server rendering, transform", function(done) {
+    styleLoaderOptions.transform = rootDir + "transform.js";
+    styleLoaderOptions.sourceIdentity = false;
+
+    fs.writeFileSync(
+      rootDir + "transform.js",
+      [
+        "module.exports = function(css) {",
+        "  return css.indexOf('cyan') >= 0 ? false : css.replace('blue', 'red');",
+        "};"
+      ].join("\n")
+    );
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var server = require('./server');",
+        "require('./style.css');",
+        "require('./styleTwo.css');",
+        "html = server.createCollector().getStyleTags();"
+      ].join("\n")
+    );
+
+    let expected = `<style type="text/css" data-style-loader-id="[id]-0">.required { color: red }</style>`;
+    runServerCompilerTest(expected, done, function() { return this.html.replace(/data-style-loader-id="\d+/g, 'data-style-loader-id="[id]'); });
+  }); // it server rendering, transform
+
+  it("server rendering, useable", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader/useable"
+      },
+      "css-loader"
+    ];
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var server = require('./server');",
+        "var css = require('./style.css');",
+        "var cssTwo = require('./styleTwo.css');",
+        "var first = server.createCollector();",
+        "var second = server.createCollector();",
+        "server.collect(first, function() { css.use(); cssTwo.use(); css.unuse(); });",
+        "server.collect(second, function() { css.use(); });",
+        "tags = [first.getStyleTags(), second.getStyleTags()];"
+      ].join("\n")
+    );
+
+    let expected = [
+      `<style type="text/css" data-style-loader-id="[id]-0" data-style-loader-source="./styleTwo.css">${requiredCssTwo}</style>`,
+      `<style type="text/css" data-style-loader-id="[id]-0" data-style-loader-source="./style.css">${requiredCss}</style>`
+    ].join("\n");
+    runServerCompilerTest(expected, done, function() {
+      return this.tags.join("\n").replace(/data-style-loader-id="\d+/g, 'data-style-loader-id="[id]');
+    });
+  }); // it server rendering, useable
+
+  it("dedupe", function(done) {
+    cssRule.use = [
+      {
+        loader: "style-loader/useable",
+        options: { dedupe: true }
+      },
+      "css-loader"
+    ];
+    fs.writeFileSync(rootDir + "styleCopy.css", requiredCss);
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var css = require('./style.css');",
+        "var copy = require('./styleCopy.css');",
+        "var cssTwo = require('./styleTwo.css');",
+        "function count() { return document.querySelectorAll('style[data-style-loader-id]').length; }",
+        "css.use();",
+        "copy.use();",
+        "cssTwo.use();",
+        "counts = [count()];",
+        "css.unuse();",
+        "counts.push(count(), document.head.textContent.indexOf('.required {') >= 0);",
+        "copy.unuse();",
+        "counts.push(count());"
+      ].join("\n")
+    );
+
+    runCompilerTest("2 2 true 1", done, function() {
+      return this.counts.join(" ");
+    });
+  }); // it dedupe
+
+  it("dedupe updates", function(done) {
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var addStyles = require('./addStyles.js');",
+        "var first = addStyles([[1, '.a {}', '']], { dedupe: true });",
+        "var second = addStyles([[2, '.a {}', '']], { dedupe: true });",
+        "second([[2, '.b {}', '']]);",
+        "second([[2, '.c {}', '']]);",
+        "first();"
+      ].join("\n")
+    );
+
+    runCompilerTest(".existing { color: yellow } .c {}", done, function() {
+      return Array.prototype.map.call(this.document.querySelectorAll("style"), function(element) {
+        return element.textContent;
+      }).join(" ");
+    });
+  }); // it dedupe updates
+
+  it("server rendering, dedupe", function(done) {
+    styleLoaderOptions.dedupe = true;
+    fs.writeFileSync(rootDir + "styleCopy.css", requiredCss);
+
+    fs.writeFileSync(
+      rootDir + "main.js",
+      [
+        "var server = require('./server');",
+        "require('./style.css');",
+        "require('./styleCopy.css');",
+        "tags = server.createCollector().getStyleTags();"
+      ].join("\n")
+    );
+
+    let expected = `<style type="text/css" data-style-loader-id="[id]-0" data-style-loader-source="./style.css">${requiredCss}</style>`;
+    runServerCompilerTest(expected, done, function() {
+      return this.tags.replace(/data-style-loader-id="\d+/g, 'data-style-loader-id="[id]');
+    });
+  }); // it server rendering, dedupe
+
 }); // describe
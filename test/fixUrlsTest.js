@@ -188,6 +188,82 @@ describe("fix urls tests", function() {
       );
     });
 
+    // dot segments and queries
+    it("Relative url with parent segments", function() {
+      assertUrl(
+          "body { background-image:url(../c/../d/./bg.jpg); }",
+          "body { background-image:url(\"https://x.y.z/d/bg.jpg\"); }"
+      );
+    });
+
+    it("Parent segments don't go above the root", function() {
+      assertUrl(
+          "body { background-image:url(../../../bg.jpg); }",
+          "body { background-image:url(\"https://x.y.z/bg.jpg\"); }"
+      );
+    });
+
+    it("Relative url with query and hash", function() {
+      assertUrl(
+          "body { background-image:url(bg.jpg?v=1#icon); }",
+          "body { background-image:url(\"https://x.y.z/a/bg.jpg?v=1#icon\"); }"
+      );
+    });
+
+    it("Query of the location isn't kept", function() {
+      assertUrl(
+          "body { background-image:url(bg.jpg); }",
+          "body { background-image:url(\"https://x.y.z/a/bg.jpg\"); }",
+          "https://x.y.z/a/b.html?page=2"
+      );
+    });
+
+    // base urls
+    it("Document base uri", function() {
+      global.window.document = { baseURI: "https://x.y.z/static/" };
+
+      assert.equal(
+          fixUrls("body { background-image:url(img/bg.jpg); }"),
+          "body { background-image:url(\"https://x.y.z/static/img/bg.jpg\"); }"
+      );
+    });
+
+    it("Base element without document base uri", function() {
+      global.window.document = {
+        getElementsByTagName: function() {
+          return [{ getAttribute: function() { return "../static/"; } }];
+        }
+      };
+
+      assert.equal(
+          fixUrls("body { background-image:url(bg.jpg); }"),
+          "body { background-image:url(\"https://x.y.z/static/bg.jpg\"); }"
+      );
+    });
+
+    it("Given base url", function() {
+      assert.equal(
+          fixUrls("body { background-image:url(bg.jpg); }\ndiv { background-image:url(/bg.jpg); }", "https://cdn.example.com/assets/"),
+          "body { background-image:url(\"https://cdn.example.com/assets/bg.jpg\"); }\ndiv { background-image:url(\"https://cdn.example.com/bg.jpg\"); }"
+      );
+    });
+
+    it("Given base url without window", function() {
+      delete global.window;
+
+      assert.equal(
+          fixUrls("body { background-image:url(../bg.jpg); }", "https://cdn.example.com/assets/"),
+          "body { background-image:url(\"https://cdn.example.com/bg.jpg\"); }"
+      );
+    });
+
+    it("Given base url relative to the page", function() {
+      assert.equal(
+          fixUrls("body { background-image:url(bg.jpg); }", "/assets/"),
+          "body { background-image:url(\"https://x.y.z/assets/bg.jpg\"); }"
+      );
+    });
+
     it("Doesn't break inline SVG", function() {
         const svg = "url('data:image/svg+xml;charset=utf-8,<svg><feFlood flood-color=\"rgba(0,0,0,0.5)\" /></svg>')";
 
@@ -195,4 +271,164 @@ describe("fix urls tests", function() {
             "body: {  background: " + svg + " }"
         );
     });
+
+    // tokens that aren't urls
+    it("Url in a comment isn't changed", function() {
+      assertUrl("/* url(bg.jpg) */ body { background-image:url(http://example.com/bg.jpg); }");
+    });
+
+    it("Unclosed comment isn't changed", function() {
+      assertUrl("body { color: red } /* url(bg.jpg)");
+    });
+
+    it("Url in a string isn't changed", function() {
+      assertUrl("body:after { content: \"url(bg.jpg)\"; }");
+    });
+
+    it("Url in a single quoted string isn't changed", function() {
+      assertUrl("body:after { content: 'a \\' url(bg.jpg)'; }");
+    });
+
+    it("Url in an attribute selector isn't changed", function() {
+      assertUrl("a[href=\"url(bg.jpg)\"] { color: red }");
+    });
+
+    it("Function ending with url isn't changed", function() {
+      assertUrl("body { background-image:myurl(bg.jpg); }");
+    });
+
+    it("Custom property named url isn't changed", function() {
+      assertUrl("body { --url: bg.jpg; }");
+    });
+
+    it("Url of @namespace isn't changed", function() {
+      assertUrl("@namespace svg url(svg-namespace);");
+    });
+
+    it("Font format isn't changed", function() {
+      assertUrl(
+          "@font-face { src: url(font.woff) format(\"woff\"); }",
+          "@font-face { src: url(\"https://x.y.z/a/font.woff\") format(\"woff\"); }"
+      );
+    });
+
+    it("Empty url isn't changed", function() {
+      assertUrl("body { background-image:url(); behavior: url(''); }");
+    });
+
+    it("Url with another scheme isn't changed", function() {
+      assertUrl("body { background-image:url(blob:https://x.y.z/1234); cursor: url(about:blank); }");
+    });
+
+    // nesting and escapes
+    it("Quoted url with parentheses", function() {
+      assertUrl(
+          "body { background-image:url(\"a(b(c(d)))).png\"); }",
+          "body { background-image:url(\"https://x.y.z/a/a(b(c(d)))).png\"); }"
+      );
+    });
+
+    it("Url in deeply nested functions", function() {
+      assertUrl(
+          "body { background-image:cross-fade(calc(100% - (10% * (2))), url(bg.jpg)); }",
+          "body { background-image:cross-fade(calc(100% - (10% * (2))), url(\"https://x.y.z/a/bg.jpg\")); }"
+      );
+    });
+
+    it("Unquoted url with escaped characters", function() {
+      assertUrl(
+          "body { background-image:url(a\\)\\ b\\31 .png); }",
+          "body { background-image:url(\"https://x.y.z/a/a) b1.png\"); }"
+      );
+    });
+
+    it("Escaped url function name", function() {
+      assertUrl(
+          "body { background-image:\\75 rl(bg.jpg); }",
+          "body { background-image:url(\"https://x.y.z/a/bg.jpg\"); }"
+      );
+    });
+
+    it("Quoted url with escaped quotes", function() {
+      assertUrl(
+          "body { background-image:url('a\\'b\"c.png'); }",
+          "body { background-image:url(\"https://x.y.z/a/a'b\\\"c.png\"); }"
+      );
+    });
+
+    it("Quoted url continued on the next line", function() {
+      assertUrl(
+          "body { background-image:url(\"b\\\ng.jpg\"); }",
+          "body { background-image:url(\"https://x.y.z/a/bg.jpg\"); }"
+      );
+    });
+
+    it("Bad url isn't changed", function() {
+      assertUrl("body { background-image:url(b g.jpg); color: red }");
+    });
+
+    it("Unquoted url with a quote isn't changed", function() {
+      assertUrl("body { background-image:url(b'g.jpg); color: red }");
+    });
+
+    it("Url after a bad url", function() {
+      assertUrl(
+          "body { background-image:url(b(g.jpg), url(bg.jpg); }",
+          "body { background-image:url(b(g.jpg), url(\"https://x.y.z/a/bg.jpg\"); }"
+      );
+    });
+
+    it("Unterminated string isn't changed", function() {
+      assertUrl("@import \"a.css\n;");
+    });
+
+    // @import, src() and image-set()
+    it("Import with a string", function() {
+      assertUrl(
+          "@import \"a.css\";\n@import 'b.css' print;",
+          "@import \"https://x.y.z/a/a.css\";\n@import \"https://x.y.z/a/b.css\" print;"
+      );
+    });
+
+    it("Import with a url", function() {
+      assertUrl(
+          "@IMPORT url(a.css) screen;",
+          "@IMPORT url(\"https://x.y.z/a/a.css\") screen;"
+      );
+    });
+
+    it("Strings after an import aren't changed", function() {
+      assertUrl(
+          "@import \"a.css\" supports(content: \"b\");\nbody:after { content: \"c\"; }",
+          "@import \"https://x.y.z/a/a.css\" supports(content: \"b\");\nbody:after { content: \"c\"; }"
+      );
+    });
+
+    it("Src function", function() {
+      assertUrl(
+          "body { background-image:src(\"bg.jpg\"); }",
+          "body { background-image:src(\"https://x.y.z/a/bg.jpg\"); }"
+      );
+    });
+
+    it("Image set with strings and urls", function() {
+      assertUrl(
+          "body { background-image:image-set(\"bg.jpg\" 1x, url(bg-2x.jpg) 2x, linear-gradient(red, \"x\") 3x); }",
+          "body { background-image:image-set(\"https://x.y.z/a/bg.jpg\" 1x, url(\"https://x.y.z/a/bg-2x.jpg\") 2x, linear-gradient(red, \"x\") 3x); }"
+      );
+    });
+
+    it("Prefixed image set", function() {
+      assertUrl(
+          "body { background-image:-webkit-image-set('bg.jpg' 1x, 'data:image/png;base64,AAAA' 2x); }",
+          "body { background-image:-webkit-image-set(\"https://x.y.z/a/bg.jpg\" 1x, 'data:image/png;base64,AAAA' 2x); }"
+      );
+    });
+
+    it("Url with a newline is escaped", function() {
+      assertUrl(
+          "body { background-image:url('b\\a g.jpg'); }",
+          "body { background-image:url(\"https://x.y.z/a/b\\a g.jpg\"); }"
+      );
+    });
 });
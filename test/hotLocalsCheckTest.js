@@ -0,0 +1,41 @@
+// Node v4 requires "use strict" to allow block scoped let & const
+"use strict";
+var assert = require("assert");
+
+describe("hot locals check tests", function() {
+    var hotLocalsCheck = require("../hotLocalsCheck");
+
+    // Runs the check like the accept handler of the generated code does
+    var runCheck = function (hot, locals, newLocals) {
+        var handler = new Function("module", "content", "newContent", hotLocalsCheck + "\nreturn 'updated';");
+        return handler({ hot: hot }, { locals: locals }, { locals: newLocals });
+    };
+
+    it("Styles without locals are updated", function() {
+        assert.equal(runCheck({}, undefined, undefined), "updated");
+    });
+
+    it("Unchanged locals are updated", function() {
+        assert.equal(runCheck({}, { a: "_a1", b: "_b1" }, { b: "_b1", a: "_a1" }), "updated");
+    });
+
+    it("Changed class names are invalidated", function() {
+        var invalidated = false;
+        var hot = { invalidate: function() { invalidated = true; } };
+        assert.equal(runCheck(hot, { a: "_a1" }, { a: "_a2" }), undefined);
+        assert.ok(invalidated);
+    });
+
+    it("Added class names are invalidated", function() {
+        var invalidated = false;
+        var hot = { invalidate: function() { invalidated = true; } };
+        assert.equal(runCheck(hot, { a: "_a1" }, { a: "_a1", b: "_b1" }), undefined);
+        assert.ok(invalidated);
+    });
+
+    it("Removed locals fail the update without invalidate", function() {
+        assert.throws(function() {
+            runCheck({}, { a: "_a1" }, undefined);
+        }, /changed css-modules locals/);
+    });
+});
@@ -6,6 +6,7 @@ var realFs = require("fs");
 var webpack = require("webpack");
 var path = require("path");
 var jsdom = require("jsdom");
+var vm = require("vm");
 
 var assert = require("assert");
 
@@ -55,7 +56,7 @@ module.exports = {
   /*
    *  @param {string} expected - Expected value.
    *  @param {function} done - Async callback from Mocha.
-   *  @param {function} actual - Executed in the context of jsdom window, should return a string to compare to.
+   *  @param {function} actual - Executed in the context of jsdom window, should return a string or a promise of a string to compare to.
    */
   runCompilerTest: function(expected, done, actual, selector) {
     selector = selector || "head"
@@ -72,9 +73,26 @@ module.exports = {
         virtualConsole: jsdom.createVirtualConsole().sendTo(console),
         done: function(err, window) {
           if (typeof actual === 'function') {
-            assert.equal(actual.apply(window), expected);  
+            let result = actual.apply(window);
+            if (result && typeof result.then === 'function') {
+              // wait for asynchronous results
+              result.then(function(value) {
+                assert.equal(value, expected);
+              }).then(function() {
+                window.close();
+                done();
+              }, function(err) {
+                window.close();
+                done(err);
+              });
+              return;
+            }
+            assert.equal(result, expected);
           } else {
-            assert.equal(window.document.querySelector(selector).innerHTML.trim(), expected);
+            // module ids depend on the bundle, so they are left out of the comparison
+            let html = window.document.querySelector(selector).innerHTML.trim()
+              .replace(/data-style-loader-id="\d+-/g, 'data-style-loader-id="[id]-');
+            assert.equal(html, expected);
           }
           // free memory associated with the window
           window.close();
@@ -83,5 +101,28 @@ module.exports = {
         }
       });
     });
+  },
+
+  /*
+   *  Runs the bundle outside of a browser, like a server side render would.
+   *
+   *  @param {string} expected - Expected value.
+   *  @param {function} done - Async callback from Mocha.
+   *  @param {function} actual - Executed in the context of the bundle's global object, should return a string to compare to.
+   */
+  runServerCompilerTest: function(expected, done, actual) {
+    compiler.run(function(err, stats) {
+      if (stats.compilation.errors.length) {
+        throw new Error(stats.compilation.errors);
+      }
+
+      const bundleJs = stats.compilation.assets["bundle.js"].source();
+      const context = vm.createContext({});
+
+      vm.runInContext(bundleJs, context);
+      assert.equal(actual.apply(context), expected);
+
+      done();
+    });
   }
 };
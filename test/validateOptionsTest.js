@@ -0,0 +1,72 @@
+// Node v4 requires "use strict" to allow block scoped let & const
+"use strict";
+var assert = require("assert");
+
+describe("validate options tests", function() {
+    var validateOptions = require("../validateOptions");
+    var schema = require("../options.json");
+    var urlSchema = require("../urlOptions.json");
+    var warnings;
+    var loader = {
+        emitWarning: function(warning) {
+            warnings.push(warning.message);
+        }
+    };
+
+    beforeEach(function() {
+        warnings = [];
+    });
+
+    it("Valid options pass", function() {
+        validateOptions(loader, schema, {
+            insertAt: { after: "link" },
+            insertInto: "#root",
+            priority: 1,
+            singleton: "print",
+            attrs: { id: "id", "data-count": 1 },
+            esModule: true
+        });
+        validateOptions(loader, urlSchema, { attrs: { id: "id" } });
+        assert.deepEqual(warnings, []);
+    });
+
+    it("Numbers of query parameters are converted", function() {
+        // like loader-utils parses ?priority=-1.5&insertInto=1
+        var options = { priority: "-1.5", insertInto: "1" };
+        validateOptions(loader, schema, options);
+        assert.deepEqual(options, { priority: -1.5, insertInto: "1" });
+    });
+
+    it("Invalid numbers of query parameters name the option", function() {
+        assert.throws(function() {
+            validateOptions(loader, schema, { priority: "high" });
+        }, /priority: "high" is invalid, it must be a number\./);
+    });
+
+    it("Invalid insertAt names the allowed values", function() {
+        assert.throws(function() {
+            validateOptions(loader, schema, { insertAt: "middle" });
+        }, /insertAt: "middle" is invalid, it must be 'top', 'bottom', \{ before: selector \} or \{ after: selector \}\./);
+    });
+
+    it("Invalid nested values name the option", function() {
+        assert.throws(function() {
+            validateOptions(loader, schema, { insertAt: { before: 1 } });
+        }, /insertAt: \{"before":1\} is invalid/);
+    });
+
+    it("Every invalid option is named", function() {
+        assert.throws(function() {
+            validateOptions(loader, schema, { insertInto: 1, attrs: "id", singleton: 1 });
+        }, function(err) {
+            return /insertInto: 1 is invalid, it must be a selector\./.test(err.message) &&
+                /attrs: "id" is invalid, it must be an object of attribute names and values\./.test(err.message) &&
+                /singleton: 1 is invalid, it must be a boolean or the name of a group\./.test(err.message);
+        });
+    });
+
+    it("Unknown options are warned about", function() {
+        validateOptions(loader, urlSchema, { attrs: {}, insertAt: "top" });
+        assert.deepEqual(warnings, ["Unknown style-loader options: insertAt. Known options are attrs, nonce, esModule."]);
+    });
+});
@@ -3,20 +3,37 @@
 	Author Tobias Koppers @sokra
 */
 var loaderUtils = require("loader-utils"),
-	path = require("path");
+	path = require("path"),
+	validateOptions = require("./validateOptions"),
+	schema = require("./urlOptions.json");
 module.exports = function() {};
 module.exports.pitch = function(remainingRequest) {
 	this.cacheable && this.cacheable();
 	var query = loaderUtils.getOptions(this) || {};
+	validateOptions(this, schema, query);
+	var esModule = !!query.esModule;
+	var urlRequest = loaderUtils.stringifyRequest(this, "!!" + remainingRequest);
+	var addStyleUrlRequest = JSON.stringify("!" + path.join(__dirname, "addStyleUrl.js"));
+	var nonceRequest = query.nonce && loaderUtils.stringifyRequest(this, "!" + path.resolve(query.nonce));
 	return [
 		"// style-loader: Adds some reference to a css file to the DOM by adding a <link> tag",
-		"var update = require(" + JSON.stringify("!" + path.join(__dirname, "addStyleUrl.js")) + ")(",
-		"\trequire(" + loaderUtils.stringifyRequest(this, "!!" + remainingRequest) + ")",
-		", " + JSON.stringify(query) + ");",
+		esModule ? "import url from " + urlRequest + ";" : "",
+		esModule ? "import addStyleUrl from " + addStyleUrlRequest + ";" : "",
+		nonceRequest && esModule ? "import nonce from " + nonceRequest + ";" : "",
+		"var options = " + JSON.stringify(query) + ";",
+		nonceRequest ? "options.nonce = " + (esModule ? "nonce" : "require(" + nonceRequest + ")") + ";" : "",
+		esModule ? "var update = addStyleUrl(url, options);" : "var update = require(" + addStyleUrlRequest + ")(",
+		esModule ? "" : "\trequire(" + urlRequest + ")",
+		esModule ? "" : ", options);",
+		"// Waits for the stylesheet to load",
+		(esModule ? "export function ready(timeout) {" : "exports.ready = function(timeout) {"),
+		"\treturn update.ready(timeout);",
+		esModule ? "}" : "};",
 		"// Hot Module Replacement",
 		"if(module.hot) {",
-		"\tmodule.hot.accept(" + loaderUtils.stringifyRequest(this, "!!" + remainingRequest) + ", function() {",
-		"\t\tupdate(require(" + loaderUtils.stringifyRequest(this, "!!" + remainingRequest) + "));",
+		"\tmodule.hot.accept(" + urlRequest + ", function() {",
+		// webpack updates the imported binding before calling the handler
+		"\t\tupdate(" + (esModule ? "url" : "require(" + urlRequest + ")") + ");",
 		"\t});",
 		"\tmodule.hot.dispose(function() { update(); });",
 		"}"
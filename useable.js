@@ -3,45 +3,112 @@
 	Author Tobias Koppers @sokra
 */
 var loaderUtils = require("loader-utils"),
-	path = require("path");
+	path = require("path"),
+	validateOptions = require("./validateOptions"),
+	sourceIdentity = require("./sourceIdentity"),
+	schema = require("./options.json"),
+	hotLocalsCheck = require("./hotLocalsCheck");
 module.exports = function() {};
 module.exports.pitch = function(remainingRequest) {
 	if(this.cacheable) this.cacheable();
 	var query = loaderUtils.getOptions(this) || {};
+	validateOptions(this, schema, query);
+	var esModule = !!query.esModule;
+	var stylesRequest = loaderUtils.stringifyRequest(this, "!!" + remainingRequest);
+	var addStylesRequest = loaderUtils.stringifyRequest(this, "!" + path.join(__dirname, "addStyles.js"));
+	var nonceRequest = query.nonce && loaderUtils.stringifyRequest(this, "!" + path.resolve(query.nonce));
+	var transformRequest = query.transform && loaderUtils.stringifyRequest(this, "!" + path.resolve(query.transform));
+	var source = sourceIdentity(this, query);
 	return [
-		"var refs = 0;",
-		"var dispose;",
-		"var content = require(" + loaderUtils.stringifyRequest(this, "!!" + remainingRequest) + ");",
-		"if(typeof content === 'string') content = [[module.id, content, '']];",
-		"if(content.locals) exports.locals = content.locals;",
-		"exports.use = exports.ref = function() {",
-		"	if(!(refs++)) {",
-		"		dispose = require(" + loaderUtils.stringifyRequest(this, "!" + path.join(__dirname, "addStyles.js")) + ")(content, " + JSON.stringify(query) + ");",
+		esModule ? "import styles from " + stylesRequest + ";" : "var styles = require(" + stylesRequest + ");",
+		esModule ? "import addStyles from " + addStylesRequest + ";" : "var addStyles = require(" + addStylesRequest + ");",
+		nonceRequest && esModule ? "import nonce from " + nonceRequest + ";" : "",
+		transformRequest && esModule ? "import transform from " + transformRequest + ";" : "",
+		"// The references are counted per target, every target gets its own elements.",
+		"// A target is an element, a shadow root or { document }, e.g. of an iframe.",
+		"var uses = [];",
+		"var options = " + JSON.stringify(query) + ";",
+		source ? "options.source = " + JSON.stringify(source) + ";" : "",
+		nonceRequest ? "options.nonce = " + (esModule ? "nonce" : "require(" + nonceRequest + ")") + ";" : "",
+		transformRequest ? "options.transform = " + (esModule ? "transform" : "require(" + transformRequest + ")") + ";" : "",
+		"var content = typeof styles === 'string' ? [[module.id, styles, '']] : styles;",
+		"var api = " + (esModule ? "{}" : "exports") + ";",
+		"function findUse(target) {",
+		"	for(var i = 0; i < uses.length; i++) {",
+		"		if(uses[i].target === target) return uses[i];",
 		"	}",
-		"	return exports;",
-		"};",
-		"exports.unuse = exports.unref = function() {",
-		"       if(refs > 0 && !(--refs)) {",
-		"		dispose();",
-		"		dispose = null;",
+		"}",
+		"function use(target) {",
+		"	// While rendering on the server the references are counted per render",
+		"	var collector = addStyles.collector();",
+		"	if(collector) {",
+		"		collector.use(content, options);",
+		"		return api;",
 		"	}",
-		"};",
-		"if(module.hot) {",
-		"	var lastRefs = module.hot.data && module.hot.data.refs || 0;",
-		"	if(lastRefs) {",
-		"		exports.ref();",
-		"		if(!content.locals) {",
-		"			refs = lastRefs;",
-		"		}",
+		"	target = addStyles.resolveTarget(target);",
+		"	var existingUse = findUse(target);",
+		"	if(existingUse) {",
+		"		existingUse.refs++;",
+		"	} else {",
+		"		var newUse = { target: target, refs: 1, update: addStyles(content, options, target) };",
+		"		// The elements of another document are removed with it",
+		"		newUse.stopWatching = addStyles.onUnload(target, function() {",
+		"			uses.splice(uses.indexOf(newUse), 1);",
+		"			newUse.update();",
+		"		});",
+		"		uses.push(newUse);",
+		"	}",
+		"	return api;",
+		"}",
+		"function unuse(target) {",
+		"	var collector = addStyles.collector();",
+		"	if(collector) {",
+		"		collector.unuse(content);",
+		"		return;",
 		"	}",
-		"	if(!content.locals) {",
-		"		module.hot.accept();",
+		"	var existingUse = findUse(addStyles.resolveTarget(target));",
+		"	if(existingUse && !(--existingUse.refs)) {",
+		"		uses.splice(uses.indexOf(existingUse), 1);",
+		"		existingUse.stopWatching();",
+		"		existingUse.update();",
 		"	}",
+		"}",
+		"api.use = api.ref = use;",
+		"api.unuse = api.unref = unuse;",
+		"// Applies the changes queued with the batch option right away",
+		"var flush = api.flush = addStyles.flush;",
+		"if(content.locals) api.locals = content.locals;",
+		esModule ? [
+			"export default api;",
+			"export { use, use as ref, unuse, unuse as unref, flush };",
+			"export var locals = content.locals;"
+		].join("\n") : "",
+		"if(module.hot) {",
+		"	var lastUses = module.hot.data && module.hot.data.uses || [];",
+		"	lastUses.forEach(function(lastUse) {",
+		"		use(lastUse.target);",
+		"		findUse(lastUse.target).refs = lastUse.refs;",
+		"	});",
+		"	// When the styles change, update the elements of every target",
+		"	module.hot.accept(" + stylesRequest + ", function() {",
+		// webpack updates the imported binding before calling the handler
+		esModule ? "		var newStyles = styles;" : "		var newStyles = require(" + stylesRequest + ");",
+		"		var newContent = typeof newStyles === 'string' ? [[module.id, newStyles, '']] : newStyles;",
+		"		// Modules using the locals have to be updated when the class names changed",
+		hotLocalsCheck,
+		"		content = newContent;",
+		"		uses.forEach(function(existingUse) {",
+		"			existingUse.update(newContent);",
+		"		});",
+		"	});",
 		"	module.hot.dispose(function(data) {",
-		"		data.refs = content.locals ? 0 : refs;",
-		"		if(dispose) {",
-		"			dispose();",
-		"		}",
+		"		data.uses = uses.map(function(existingUse) {",
+		"			return { target: existingUse.target, refs: existingUse.refs };",
+		"		});",
+		"		uses.forEach(function(existingUse) {",
+		"			existingUse.stopWatching();",
+		"			existingUse.update();",
+		"		});",
 		"	});",
 		"}"
 	].join("\n");
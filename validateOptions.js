@@ -0,0 +1,36 @@
+/*
+	MIT License http://www.opensource.org/licenses/mit-license.php
+	Author Tobias Koppers @sokra
+*/
+var Ajv = require("ajv");
+
+var ajv = new Ajv({ allErrors: true });
+
+// Throws an error naming the invalid options and their allowed values, and warns about unknown options
+module.exports = function validateOptions(loader, schema, options) {
+	// Query parameters are strings, e.g. ?priority=1, the numbers are also used as numbers at runtime
+	Object.keys(schema.properties).forEach(function(name) {
+		var value = options[name];
+		if(schema.properties[name].type === "number" && typeof value === "string" && value.trim() && !isNaN(value)) {
+			options[name] = Number(value);
+		}
+	});
+	var validate = ajv.compile(schema);
+	if(!validate(options)) {
+		var invalidNames = [];
+		validate.errors.forEach(function(error) {
+			var name = error.dataPath.replace(/^\./, "").split(/[.[]/)[0];
+			if(invalidNames.indexOf(name) < 0) invalidNames.push(name);
+		});
+		throw new Error("Invalid style-loader options:\n" + invalidNames.map(function(name) {
+			return "  " + name + ": " + JSON.stringify(options[name]) + " is invalid, it must be " + schema.properties[name].description + ".";
+		}).join("\n"));
+	}
+	var unknownNames = Object.keys(options).filter(function(name) {
+		return !schema.properties.hasOwnProperty(name);
+	});
+	if(unknownNames.length) {
+		loader.emitWarning(new Error("Unknown style-loader options: " + unknownNames.join(", ") + ". Known options are " +
+			Object.keys(schema.properties).join(", ") + "."));
+	}
+};